@@ -1,6 +1,7 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useRef, useEffect } from 'react';
 import { createRoot } from 'react-dom/client';
 import { WebsimSocket, useQuery } from '@websim/use-query';
+import JSZip from 'jszip';
 
 const room = new WebsimSocket();
 
@@ -11,39 +12,4106 @@ const room = new WebsimSocket();
 // is not necessary and not supported within the Websim application context.
 // Your application already uses the built-in user system for video creators.
 
-// Helper component to display and play SFX assets
-function SfxPlayer({ videoConceptId }) {
-  const { data: sfxAssets, loading: sfxLoading, error: sfxError } = useQuery(
-    room.collection('sfx_assets').filter({ video_concept_id: videoConceptId })
+// Pages are addressed by hash routes so refreshing, sharing a link and back/forward all work:
+//   #/              home feed (search, sort and filters live in the query string, e.g. #/?q=intro&sort=oldest&has=sfx)
+//   #/trending      trending feed          #/following    videos from followed creators
+//   #/create        create form            #/user/:id     a creator's profile (?tab=playlists or ?tab=liked)
+//   #/create/:id    create form resuming one of your drafts
+//   #/watch/:id     watch page for a single video concept (?together=:session joins a watch-together session)
+//   #/manage/:id    owner-only page for editing or deleting a video concept
+//   #/playlist/:id  plays a playlist's video concepts back to back
+//   #/tag/:tag      video concepts with a tag
+//   #/moderation    moderators' review queue for reported content
+function parseRoute(hash) {
+  const [path, queryString = ''] = hash.replace(/^#\/?/, '').split('?');
+  let name, id;
+  try {
+    [name, id] = path.split('/').map(decodeURIComponent);
+  } catch {
+    return { name: 'home' }; // A malformed escape such as %E0 in a hand-edited or truncated link
+  }
+  switch (name) {
+    case 'trending':
+      return { name: 'trending' };
+    case 'following':
+      return { name: 'following' };
+    case 'create':
+      return id ? { name: 'create', draftId: id } : { name: 'create' };
+    case 'user':
+      return id ? { name: 'profile', userId: id, tab: parseProfileTab(new URLSearchParams(queryString)) } : { name: 'home' };
+    case 'watch':
+      return id ? { name: 'watch', videoId: id, together: new URLSearchParams(queryString).get('together') } : { name: 'home' };
+    case 'manage':
+      return id ? { name: 'manage', videoId: id } : { name: 'home' };
+    case 'playlist':
+      return id ? { name: 'playlist', playlistId: id } : { name: 'home' };
+    case 'tag': {
+      const tag = id ? normalizeTag(id) : '';
+      return tag ? { name: 'tag', tag } : { name: 'home' };
+    }
+    case 'moderation':
+      return { name: 'moderation' };
+    default:
+      return { name: 'home', ...parseFeedSearch(new URLSearchParams(queryString)) };
+  }
+}
+
+function routeToHash(page) {
+  switch (page.name) {
+    case 'trending':
+      return '#/trending';
+    case 'following':
+      return '#/following';
+    case 'create':
+      return page.draftId ? `#/create/${encodeURIComponent(page.draftId)}` : '#/create';
+    case 'profile': {
+      const tab = page.tab && page.tab !== 'videos' ? `?tab=${page.tab}` : '';
+      return `#/user/${encodeURIComponent(page.userId)}${tab}`;
+    }
+    case 'watch':
+      return `#/watch/${encodeURIComponent(page.videoId)}${page.together ? `?together=${encodeURIComponent(page.together)}` : ''}`;
+    case 'manage':
+      return `#/manage/${encodeURIComponent(page.videoId)}`;
+    case 'playlist':
+      return `#/playlist/${encodeURIComponent(page.playlistId)}`;
+    case 'tag':
+      return `#/tag/${encodeURIComponent(page.tag)}`;
+    case 'moderation':
+      return '#/moderation';
+    default: {
+      const query = feedSearchToParams(page).toString();
+      return query ? `#/?${query}` : '#/';
+    }
+  }
+}
+
+// Pass { replace: true } for URL updates that shouldn't add a history entry, such as typing in the search box
+function navigate(page, { replace = false } = {}) {
+  const hash = routeToHash(page);
+  if (replace) {
+    window.history.replaceState(null, '', hash);
+    window.dispatchEvent(new HashChangeEvent('hashchange'));
+  } else {
+    window.location.hash = hash;
+  }
+}
+
+// Current page, kept in sync with the URL hash
+function useRoute() {
+  const [page, setPage] = useState(() => parseRoute(window.location.hash));
+
+  useEffect(() => {
+    const handleHashChange = () => {
+      const next = parseRoute(window.location.hash);
+      // Only jump to the top when moving to another page, not when the feed search changes
+      setPage((prev) => {
+        if (prev.name !== next.name || routeToHash(prev).split('?')[0] !== routeToHash(next).split('?')[0]) {
+          window.scrollTo(0, 0);
+        }
+        return next;
+      });
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  return page;
+}
+
+// Feed sort options. Each sorts by an optional metric column, then live_at and id as tie-breakers,
+// which also form the keyset cursor for pagination. Only these keys ever reach the SQL.
+const FEED_SORTS = {
+  newest: { label: 'Newest', key: null, direction: 'DESC' },
+  oldest: { label: 'Oldest', key: null, direction: 'ASC' },
+  most_viewed: { label: 'Most viewed', key: 'view_count', direction: 'DESC' },
+  most_sfx: { label: 'Most SFX', key: 'sfx_count', direction: 'DESC' },
+};
+const FEED_PAGE_SIZE = 12;
+
+function parseFeedSearch(params) {
+  const has = (params.get('has') || '').split(',');
+  return {
+    q: params.get('q') || '',
+    sort: FEED_SORTS[params.get('sort')] ? params.get('sort') : 'newest',
+    hasSfx: has.includes('sfx'),
+    hasVideo: has.includes('video'),
+  };
+}
+
+function feedSearchToParams({ q = '', sort = 'newest', hasSfx = false, hasVideo = false }) {
+  const params = new URLSearchParams();
+  if (q) params.set('q', q);
+  if (sort !== 'newest') params.set('sort', sort);
+  const has = [hasSfx && 'sfx', hasVideo && 'video'].filter(Boolean);
+  if (has.length > 0) params.set('has', has.join(','));
+  return params;
+}
+
+// Home feed filters. Search matches title, description and creator username.
+function buildFeedFilter({ q, sort, hasSfx, hasVideo }) {
+  const conditions = [];
+  const params = [];
+  if (q.trim()) {
+    // Escape LIKE wildcards so a search for "100%" matches literally
+    params.push(`%${q.trim().replace(/[\\%_]/g, '\\$&')}%`);
+    conditions.push(`(v.title ILIKE $${params.length} OR v.description ILIKE $${params.length} OR u.username ILIKE $${params.length}
+      OR EXISTS (SELECT 1 FROM public.video_tags t WHERE t.video_id = v.id AND t.user_id = v.user_id AND t.tag ILIKE $${params.length}))`);
+  }
+  if (hasSfx) conditions.push(`EXISTS (SELECT 1 FROM public.sfx_assets s WHERE s.video_concept_id = v.id AND s.user_id = v.user_id AND ${publiclyVisible('sfx', 's.id')})`);
+  if (hasVideo) conditions.push("COALESCE(v.video_url, '') <> ''");
+  return { conditions, params, sort };
+}
+
+// One page of a video feed using keyset pagination: rows strictly after the cursor (the last row
+// of the previous page) in sort order. Unlike OFFSET this stays fast however deep you scroll.
+// The last page loaded is open-ended and fetches one extra row so the caller knows whether there's
+// another page. Once a page has a next page it is bounded by endCursor (its own last row) instead,
+// so the pages split the sort order between them and every row is on exactly one page, even as
+// videos are published or deleted or their view counts change while the feed is open.
+// Unpublished concepts are left out, and so is content hidden by moderators for everyone except its owner (and the moderators).
+function videoPageQuery({ conditions = [], params = [], sort = 'newest', viewer = null }, cursor, endCursor = null) {
+  const { key, direction } = FEED_SORTS[sort];
+  const keyColumns = [key && `f.${key}`, 'f.live_at', 'f.id'].filter(Boolean);
+  const allParams = [...params];
+  const allConditions = [...conditions, publishedCondition('v'), visibleTo(viewer, 'video', 'v.id', 'v.user_id', allParams)];
+  const keysetCondition = (operator, { sortValue, liveAt, id }) => {
+    const values = [...(key ? [sortValue] : []), liveAt, id];
+    const placeholders = values.map((value) => {
+      allParams.push(value);
+      return `$${allParams.length}`;
+    });
+    return `(${keyColumns.join(', ')}) ${operator} (${placeholders.join(', ')})`;
+  };
+  const keyset = [
+    cursor && keysetCondition(direction === 'DESC' ? '<' : '>', cursor),
+    endCursor && keysetCondition(direction === 'DESC' ? '>=' : '<=', endCursor),
+  ].filter(Boolean);
+  const where = `WHERE ${allConditions.join(' AND ')}`;
+  return room.query(
+    // live_at is also selected as text so the cursor keeps full microsecond precision
+    `SELECT f.*, f.live_at::text AS cursor_live_at
+    FROM (SELECT ${videoColumns()} FROM public.videos v JOIN public.user u ON v.user_id = u.id ${where}) f
+    ${keyset.length > 0 ? `WHERE ${keyset.join(' AND ')}` : ''}
+    ORDER BY ${keyColumns.map((column) => `${column} ${direction}`).join(', ')}
+    ${endCursor ? '' : `LIMIT ${FEED_PAGE_SIZE + 1}`}`,
+    allParams
+  );
+}
+
+function cursorAfter(video, sort) {
+  const { key } = FEED_SORTS[sort];
+  return { sortValue: key ? video[key] : null, liveAt: video.cursor_live_at, id: video.id };
+}
+
+// The signed-in Websim user ({ id, username }), or null until it has loaded
+let currentUserPromise = null;
+function useCurrentUser() {
+  const [user, setUser] = useState(null);
+
+  useEffect(() => {
+    if (!currentUserPromise) currentUserPromise = window.websim.getCurrentUser();
+    let cancelled = false;
+    currentUserPromise
+      .then((u) => { if (!cancelled) setUser(u); })
+      .catch((err) => console.error('Failed to load current user:', err));
+    return () => { cancelled = true; };
+  }, []);
+
+  return user;
+}
+
+// Moderators review reports and hide, restore or delete content. The project's creator is always one,
+// and appoints the others (teachers, admins) from their profile pages with moderators rows.
+// Anyone can write rows, so only the ones the creator wrote count.
+// The creator's id is undefined until useProjectCreator has loaded it, then the id or null.
+let projectCreatorId;
+let projectCreatorPromise = null;
+
+// Re-renders once the creator is known, so that every query is rebuilt with the moderators in it
+function useProjectCreator() {
+  const [creatorId, setCreatorId] = useState(projectCreatorId);
+
+  useEffect(() => {
+    if (!projectCreatorPromise) projectCreatorPromise = window.websim.getCreatedBy();
+    let cancelled = false;
+    projectCreatorPromise
+      .then((creator) => { projectCreatorId = creator ? creator.id : null; })
+      .catch((err) => {
+        console.error('Failed to load the project creator:', err);
+        projectCreatorId = null;
+      })
+      .then(() => { if (!cancelled) setCreatorId(projectCreatorId); });
+    return () => { cancelled = true; };
+  }, []);
+
+  return creatorId;
+}
+
+// The moderators' ids as a SQL array, empty until the creator has loaded.
+// The creator's id comes from Websim, never from user input.
+function moderatorIdsSql() {
+  if (!projectCreatorId) return 'ARRAY[]::text[]';
+  const creator = `'${projectCreatorId.replace(/'/g, "''")}'`;
+  return `(SELECT ARRAY[${creator}]::text[] || COALESCE(ARRAY_AGG(g.moderator_id), ARRAY[]::text[])
+    FROM public.moderators g WHERE g.user_id = ${creator})`;
+}
+
+// Whether the user moderates: true or false, or null while that's loading
+function useIsModerator(user) {
+  const creatorId = useProjectCreator();
+  const { data } = useQuery(
+    user && creatorId !== undefined ? room.query(`SELECT $1 = ANY(${moderatorIdsSql()}) AS moderator`, [user.id]) : null
+  );
+  return data && data[0] ? !!data[0].moderator : null;
+}
+
+// Websim only lets authors change their own rows, so moderation is recorded as moderation_actions rows
+// instead of edits to the content. The latest action by a moderator decides a target's state:
+// NULL or 'restore' is visible, 'hide' is visible only to its owner and moderators, 'delete' only to moderators.
+function moderationState(targetType, idColumn) {
+  return moderationStateOf(`'${targetType}'`, idColumn);
+}
+
+// Same, for queries where the target type is itself a column
+function moderationStateOf(targetTypeColumn, idColumn) {
+  return `(SELECT m.action FROM public.moderation_actions m
+    WHERE m.target_type = ${targetTypeColumn} AND m.target_id = ${idColumn} AND m.user_id = ANY(${moderatorIdsSql()})
+    ORDER BY m.created_at DESC LIMIT 1)`;
+}
+
+function publiclyVisible(targetType, idColumn) {
+  return `COALESCE(${moderationState(targetType, idColumn)}, 'restore') = 'restore'`;
+}
+
+// SQL condition for content the viewer may see. Adds the viewer's id to params.
+function visibleTo(viewer, targetType, idColumn, ownerColumn, params) {
+  params.push(viewer ? viewer.id : '');
+  return `($${params.length} = ANY(${moderatorIdsSql()}) OR ${publiclyVisible(targetType, idColumn)}
+    OR (${moderationState(targetType, idColumn)} = 'hide' AND ${ownerColumn} = $${params.length}))`;
+}
+
+function sfxColumns() {
+  return `s.id, s.video_concept_id, s.sfx_url, s.sfx_name, s.position, s.cue_times, s.volume, s.user_id, s.created_at,
+  ${moderationState('sfx', 's.id')} AS moderation_state`;
+}
+
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+// When the latest scheduled concept came due, as seen by usePublishClock, or null before any has.
+// Feeds are live queries that only re-run when rows change or their SQL does, so this goes into the SQL.
+let publishClock = null;
+
+function liveBefore() {
+  return publishClock ? `GREATEST(NOW(), '${publishClock}'::timestamptz)` : 'NOW()';
+}
+
+// Drafts, and concepts scheduled for later, stay out of every feed until they go live.
+// Rows from before drafts existed have no status and count as published.
+function publishedCondition(alias) {
+  return `COALESCE(${alias}.status, 'published') = 'published' AND (${alias}.publish_at IS NULL OR ${alias}.publish_at <= ${liveBefore()})`;
+}
+
+// Re-renders when the next scheduled concept comes due, so that every feed re-runs its query and it appears
+function usePublishClock() {
+  const [clock, setClock] = useState(publishClock);
+  const [recheck, setRecheck] = useState(0);
+  const { data } = useQuery(
+    room.query(
+      `SELECT MIN(v.publish_at)::text AS next_publish_at FROM public.videos v
+      WHERE COALESCE(v.status, 'published') = 'published' AND v.publish_at > ${liveBefore()}`,
+      []
+    )
+  );
+  const next = data && data[0] ? data[0].next_publish_at : null;
+
+  useEffect(() => {
+    if (!next) return;
+    // A second late, so the server's clock has passed it too. setTimeout can't wait longer than
+    // about 24 days, so a concept scheduled further ahead is checked again then.
+    const wait = new Date(next) - Date.now() + 1000;
+    const timer = setTimeout(() => {
+      if (wait > MAX_TIMEOUT) {
+        setRecheck((n) => n + 1);
+      } else {
+        publishClock = next;
+        setClock(next);
+      }
+    }, Math.min(Math.max(wait, 0), MAX_TIMEOUT));
+    return () => clearTimeout(timer);
+  }, [next, recheck]);
+
+  return clock;
+}
+
+// A comment the video owner hasn't removed and moderators haven't hidden
+function commentShown(alias) {
+  return `NOT EXISTS (SELECT 1 FROM public.comment_removals r WHERE r.comment_id = ${alias}.id AND r.user_id = v.user_id)
+    AND ${publiclyVisible('comment', `${alias}.id`)}`;
+}
+
+// When a concept went (or goes) live: its scheduled time, or when it was published. Rows from before
+// published_at existed fall back to when they were created. Feeds sort and show dates by this.
+const LIVE_AT = 'COALESCE(v.publish_at, v.published_at, v.created_at)';
+
+// Columns shared by every video feed query. Views are counted from video_views rows
+// rather than a stored counter, so concurrent viewers can never overwrite each other.
+// A user is only counted once per browser session, even if duplicate rows slip through.
+// Counts only include content that moderators haven't hidden, and comments only count
+// when they show up in the thread, so not replies whose parent was removed.
+function videoColumns() {
+  return `v.id, v.title, v.description, v.thumbnail_url, v.video_url, v.video_mime, v.video_duration, v.user_id, u.username, v.created_at,
+  v.status, v.publish_at, ${LIVE_AT} AS live_at,
+  ${moderationState('video', 'v.id')} AS moderation_state,
+  (SELECT COUNT(DISTINCT vv.user_id || ':' || vv.session_id)::int FROM public.video_views vv WHERE vv.video_id = v.id) AS view_count,
+  (SELECT COUNT(*)::int FROM public.sfx_assets s WHERE s.video_concept_id = v.id AND s.user_id = v.user_id AND ${publiclyVisible('sfx', 's.id')}) AS sfx_count,
+  (SELECT COUNT(DISTINCT l.user_id)::int FROM public.likes l WHERE l.video_id = v.id) AS like_count,
+  (WITH RECURSIVE shown AS (
+    SELECT c.id, c.deleted FROM public.comments c WHERE c.video_id = v.id AND c.parent_id IS NULL AND ${commentShown('c')}
+    UNION ALL
+    SELECT c.id, c.deleted FROM public.comments c JOIN shown p ON c.parent_id = p.id WHERE ${commentShown('c')}
+  ) SELECT COUNT(*)::int FROM shown WHERE NOT COALESCE(shown.deleted, false)) AS comment_count,
+  (SELECT COALESCE(ARRAY_AGG(DISTINCT t.tag ORDER BY t.tag), ARRAY[]::text[]) FROM public.video_tags t
+    WHERE t.video_id = v.id AND t.user_id = v.user_id) AS tags`;
+}
+
+// A view counts once the viewer has actually played this fraction of the video (seeking doesn't count)
+const VIEW_THRESHOLD = 0.5;
+// Trending score halves for every this many hours since a view, and views older than the window are ignored
+const TRENDING_HALF_LIFE_HOURS = 24;
+const TRENDING_WINDOW_DAYS = 14;
+const TRENDING_LIMIT = 50;
+
+// One id per browser tab session: replaying a video in the same tab doesn't add views,
+// but coming back in a new session does.
+function getViewSession() {
+  let sessionId = sessionStorage.getItem('schooltube:view-session');
+  if (!sessionId) {
+    sessionId = crypto.randomUUID();
+    sessionStorage.setItem('schooltube:view-session', sessionId);
+  }
+  const counted = new Set(JSON.parse(sessionStorage.getItem('schooltube:counted-views') || '[]'));
+  return { sessionId, counted };
+}
+
+async function recordView(videoId) {
+  const { sessionId, counted } = getViewSession();
+  if (counted.has(videoId)) return;
+  // Mark before the write so a second trigger while the request is in flight is ignored
+  counted.add(videoId);
+  sessionStorage.setItem('schooltube:counted-views', JSON.stringify([...counted]));
+  try {
+    await room.collection('video_views').create({
+      video_id: videoId,
+      session_id: sessionId,
+    });
+  } catch (err) {
+    console.error('Failed to record view:', err);
+    counted.delete(videoId);
+    sessionStorage.setItem('schooltube:counted-views', JSON.stringify([...counted]));
+  }
+}
+
+// True once the element has come within rootMargin of the viewport, and stays true after that
+function useInView(ref, rootMargin = '200px') {
+  const [inView, setInView] = useState(false);
+
+  useEffect(() => {
+    if (inView || !ref.current) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) setInView(true);
+    }, { rootMargin });
+    observer.observe(ref.current);
+    return () => observer.disconnect();
+  }, [ref, rootMargin, inView]);
+
+  return inView;
+}
+
+// Video element that records a view once enough of it has been watched.
+// The source is only attached once the player is scrolled into view, and nothing is fetched until play.
+// playerRef, if given, is pointed at the underlying <video> element.
+function VideoPlayer({ video, className, playerRef, autoPlay = false, controls = true, onEnded }) {
+  const videoRef = useRef(null);
+  const inView = useInView(videoRef);
+  const setVideoRef = useCallback((el) => {
+    videoRef.current = el;
+    if (playerRef) playerRef.current = el;
+  }, [playerRef]);
+  const watchedRef = useRef({ seconds: 0, lastTime: 0, counted: false });
+
+  const handleTimeUpdate = useCallback((e) => {
+    const el = e.currentTarget;
+    const watched = watchedRef.current;
+    const delta = el.currentTime - watched.lastTime;
+    watched.lastTime = el.currentTime;
+    // Only small forward steps are real playback; anything else is a seek
+    if (delta > 0 && delta < 1.5) watched.seconds += delta;
+    if (!watched.counted && el.duration > 0 && watched.seconds >= el.duration * VIEW_THRESHOLD) {
+      watched.counted = true;
+      recordView(video.id);
+    }
+  }, [video.id]);
+
+  const handleSeeked = useCallback((e) => {
+    watchedRef.current.lastTime = e.currentTarget.currentTime;
+  }, []);
+
+  return (
+    <video
+      ref={setVideoRef}
+      controls={controls}
+      preload="none"
+      className={className}
+      poster={video.thumbnail_url}
+      autoPlay={autoPlay}
+      onTimeUpdate={handleTimeUpdate}
+      onSeeked={handleSeeked}
+      onEnded={onEnded}
+    >
+      {/* Older concepts have no stored MIME type, so let the browser sniff those. Chrome and Firefox
+          skip a video/quicktime source even though they play most .mov files, so those are sniffed too. */}
+      {inView && <source src={video.video_url} type={video.video_mime === 'video/quicktime' ? undefined : video.video_mime || undefined} />}
+      Your browser does not support the video tag.
+    </video>
+  );
+}
+
+// SFX in the order the creator arranged them; rows from before reordering existed have no position
+function sortSfx(sfxAssets) {
+  return [...sfxAssets].sort((a, b) =>
+    (a.position ?? Infinity) - (b.position ?? Infinity) || new Date(a.created_at) - new Date(b.created_at)
+  );
+}
+
+// SFX for a whole list of videos in one query, grouped by video id. Saves every card
+// on a feed page from running its own query.
+function useSfxByVideo(videos) {
+  const currentUser = useCurrentUser();
+  const ids = (videos || []).map((video) => video.id);
+  const params = [ids];
+  const visible = visibleTo(currentUser, 'sfx', 's.id', 's.user_id', params);
+  const { data: sfxAssets } = useQuery(
+    ids.length > 0
+      ? room.query(`SELECT ${sfxColumns()} FROM public.sfx_assets s JOIN public.videos v ON v.id = s.video_concept_id
+        WHERE s.video_concept_id = ANY($1) AND s.user_id = v.user_id AND ${visible}`, params)
+      : null
+  );
+
+  const byVideo = {};
+  for (const sfx of sfxAssets || []) {
+    (byVideo[sfx.video_concept_id] ||= []).push(sfx);
+  }
+  return { sfxByVideo: byVideo, sfxLoaded: !!sfxAssets };
+}
+
+// The current user's like rows for a list of videos in one query, as video id -> row ids
+function useOwnLikes(videos) {
+  const currentUser = useCurrentUser();
+  const ids = (videos || []).map((video) => video.id);
+  const { data: likes } = useQuery(
+    currentUser && ids.length > 0
+      ? room.query('SELECT l.id, l.video_id FROM public.likes l WHERE l.user_id = $1 AND l.video_id = ANY($2)', [currentUser.id, ids])
+      : null
+  );
+
+  // Videos only get an entry once the likes have loaded, so a missing entry means "not known yet"
+  const byVideo = {};
+  if (likes) {
+    for (const id of ids) byVideo[id] = [];
+    for (const like of likes) if (byVideo[like.video_id]) byVideo[like.video_id].push(like.id);
+  }
+  return byVideo;
+}
+
+// Swaps rows[from] with its neighbour in the given direction, then renumbers so every row has a
+// distinct position. Rows are in display order; idKey names the column holding each row's id.
+function moveRow(collectionName, rows, from, direction, idKey = 'id') {
+  const reordered = [...rows];
+  [reordered[from], reordered[from + direction]] = [reordered[from + direction], reordered[from]];
+  return Promise.all(reordered.map((row, position) =>
+    row.position === position ? null : room.collection(collectionName).update(row[idKey], { position })
+  ));
+}
+
+// Adds or removes the current user's row in a collection, given the ids of the rows they already have.
+// Toggling off deletes every such row and toggling on creates exactly one; further clicks are ignored
+// until the live query shows the change, so repeat clicks can never create duplicates.
+function useRowToggle(collectionName, rowIds, fields) {
+  const [pending, setPending] = useState(null); // target state while a toggle is in flight
+  const active = rowIds.length > 0;
+
+  useEffect(() => {
+    if (pending !== null && active === pending) setPending(null);
+  }, [active, pending]);
+
+  const toggle = useCallback(async () => {
+    if (pending !== null) return;
+    const target = !active;
+    setPending(target);
+    try {
+      if (target) {
+        await room.collection(collectionName).create(fields);
+      } else {
+        await Promise.all(rowIds.map((id) => room.collection(collectionName).delete(id)));
+      }
+    } catch (err) {
+      console.error(`Failed to update ${collectionName}:`, err);
+      setPending(null);
+    }
+  }, [collectionName, pending, active, rowIds, fields]);
+
+  return { active: pending ?? active, busy: pending !== null, toggle };
+}
+
+// likeRowIds is undefined until the viewer's likes have loaded. Until then the button can't be used,
+// since a click could add a second like for someone who already liked the video.
+function LikeButton({ videoId, likeRowIds, count = 0 }) {
+  const rowIds = likeRowIds || [];
+  const { active, busy, toggle } = useRowToggle('likes', rowIds, { video_id: videoId });
+  // Show the change straight away rather than waiting for the count to come back
+  const shownCount = count + (active === (rowIds.length > 0) ? 0 : active ? 1 : -1);
+
+  return (
+    <button
+      onClick={toggle}
+      disabled={busy || !likeRowIds}
+      className={`flex items-center text-sm ${active ? 'text-pink-600' : 'text-gray-500 hover:text-pink-600'}`}
+      title={active ? 'Unlike' : 'Like'}
+      aria-pressed={active}
+    >
+      <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill={active ? 'currentColor' : 'none'} stroke="currentColor" strokeWidth={1.5} className="w-5 h-5 mr-1">
+        <path strokeLinecap="round" strokeLinejoin="round" d="M21 8.25c0-2.485-2.099-4.5-4.688-4.5-1.935 0-3.597 1.126-4.312 2.733-.715-1.607-2.377-2.733-4.313-2.733C5.1 3.75 3 5.765 3 8.25c0 7.22 9 12 9 12s9-4.78 9-12Z" />
+      </svg>
+      {Math.max(0, shownCount)}
+    </button>
+  );
+}
+
+// Follow toggle for a creator; hidden on your own videos and profile
+function FollowButton({ creatorId }) {
+  const currentUser = useCurrentUser();
+  const { data: rows } = useQuery(
+    currentUser
+      ? room.query('SELECT s.id FROM public.subscriptions s WHERE s.user_id = $1 AND s.creator_id = $2', [currentUser.id, creatorId])
+      : null
+  );
+  const rowIds = (rows || []).map((row) => row.id);
+  const { active, busy, toggle } = useRowToggle('subscriptions', rowIds, { creator_id: creatorId });
+
+  if (!currentUser || !rows || currentUser.id === creatorId) return null;
+
+  return (
+    <button
+      onClick={toggle}
+      disabled={busy}
+      className={`px-4 py-1.5 rounded-full text-sm font-semibold transition duration-200 disabled:opacity-50 ${active ? 'bg-gray-200 text-gray-800 hover:bg-gray-300' : 'bg-red-600 text-white hover:bg-red-700'}`}
+    >
+      {active ? 'Following' : 'Follow'}
+    </button>
+  );
+}
+
+// Lets the project's creator appoint or remove a moderator from their profile page
+function ModeratorToggle({ userId }) {
+  const currentUser = useCurrentUser();
+  const creatorId = useProjectCreator();
+  const isCreator = !!currentUser && currentUser.id === creatorId;
+  const { data: rows } = useQuery(
+    isCreator
+      ? room.query('SELECT g.id FROM public.moderators g WHERE g.user_id = $1 AND g.moderator_id = $2', [currentUser.id, userId])
+      : null
+  );
+  const rowIds = (rows || []).map((row) => row.id);
+  const { active, busy, toggle } = useRowToggle('moderators', rowIds, { moderator_id: userId });
+
+  if (!isCreator || !rows || currentUser.id === userId) return null;
+
+  return (
+    <button
+      onClick={toggle}
+      disabled={busy}
+      className="px-4 py-1.5 rounded-full text-sm font-semibold bg-gray-200 text-gray-800 hover:bg-gray-300 disabled:opacity-50"
+      title={active ? 'Remove as moderator' : 'Let them review reports and hide or delete content'}
+    >
+      {active ? 'Moderator ✓' : 'Make moderator'}
+    </button>
+  );
+}
+
+// A creator's name, linking to their profile. Used wherever a username is shown.
+function CreatorLink({ userId, username, className = 'font-semibold text-gray-700 hover:text-blue-600' }) {
+  return <a href={routeToHash({ name: 'profile', userId })} className={className}>{username}</a>;
+}
+
+const REPORT_REASONS = {
+  inappropriate: 'Not appropriate for school',
+  bullying: 'Bullying or harassment',
+  spam: 'Spam or misleading',
+  copyright: "Uses someone else's work",
+  other: 'Something else',
+};
+
+// The report dialog is rendered once by App rather than by the card, comment or SFX that opened it:
+// cards clip their overflow and scale on hover, which would trap a fixed-position overlay inside them.
+const reportDialog = {
+  target: null,
+  listeners: new Set(),
+};
+
+// target is { targetType: 'video' | 'comment' | 'sfx', targetId, videoId, label }, or null to close
+function openReportDialog(target) {
+  reportDialog.target = target;
+  reportDialog.listeners.forEach((listener) => listener(target));
+}
+
+// Shown to signed-in users on content that isn't their own
+function ReportButton({ targetType, targetId, videoId, ownerId, label, className = 'hover:text-red-600' }) {
+  const currentUser = useCurrentUser();
+  if (!currentUser || currentUser.id === ownerId) return null;
+
+  return (
+    <button
+      onClick={() => openReportDialog({ targetType, targetId, videoId, label })}
+      className={className}
+      title={`Report ${label}`}
+    >
+      Report
+    </button>
+  );
+}
+
+function ReportDialogHost() {
+  const [target, setTarget] = useState(reportDialog.target);
+  const [reason, setReason] = useState('inappropriate');
+  const [details, setDetails] = useState('');
+  const [sending, setSending] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    reportDialog.listeners.add(setTarget);
+    return () => reportDialog.listeners.delete(setTarget);
+  }, []);
+
+  // Start with a blank form for every report
+  useEffect(() => {
+    setReason('inappropriate');
+    setDetails('');
+    setSent(false);
+    setError(null);
+  }, [target]);
+
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    setSending(true);
+    setError(null);
+    try {
+      await room.collection('reports').create({
+        target_type: target.targetType,
+        target_id: target.targetId,
+        video_id: target.videoId,
+        reason,
+        details: details.trim(),
+      });
+      setSent(true);
+    } catch (err) {
+      console.error('Failed to send report:', err);
+      setError('Failed to send report. Please try again.');
+    } finally {
+      setSending(false);
+    }
+  }, [target, reason, details]);
+
+  if (!target) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40 p-4" onClick={() => openReportDialog(null)}>
+      <div role="dialog" aria-modal="true" aria-labelledby="report-dialog-title" className="bg-white rounded-lg shadow-xl w-full max-w-md p-6" onClick={(e) => e.stopPropagation()}>
+        <h3 id="report-dialog-title" className="text-lg font-semibold text-gray-800 mb-1">Report {target.label}</h3>
+        {sent ? (
+          <>
+            <p className="text-sm text-gray-600 mb-4">Thanks for letting us know. A moderator will review it.</p>
+            <div className="flex justify-end">
+              <button onClick={() => openReportDialog(null)} className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-700">Done</button>
+            </div>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <p className="text-sm text-gray-500 mb-4">Moderators review reports. Reports aren't private, so keep personal details out of them.</p>
+            <fieldset className="space-y-2 mb-4">
+              <legend className="text-sm font-semibold text-gray-700 mb-1">What's wrong?</legend>
+              {Object.entries(REPORT_REASONS).map(([value, text]) => (
+                <label key={value} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input type="radio" name="report-reason" value={value} checked={reason === value} onChange={() => setReason(value)} />
+                  {text}
+                </label>
+              ))}
+            </fieldset>
+            <textarea
+              value={details}
+              onChange={(e) => setDetails(e.target.value)}
+              className="shadow appearance-none border rounded w-full py-2 px-3 text-sm text-gray-700 leading-tight focus:outline-none focus:shadow-outline h-20"
+              placeholder="Anything else a moderator should know (optional)"
+              maxLength={1000}
+            />
+            {error && <p className="text-sm text-red-500 mt-2">{error}</p>}
+            <div className="flex justify-end gap-2 mt-4">
+              <button type="button" onClick={() => openReportDialog(null)} className="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300">Cancel</button>
+              <button type="submit" disabled={sending} className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 disabled:opacity-50">
+                {sending ? 'Sending...' : 'Send report'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Tells owners (and moderators) why content they can still see is missing for everyone else
+function ModerationNotice({ state, className = '' }) {
+  if (state !== 'hide' && state !== 'delete') return null;
+
+  return (
+    <p className={`text-xs font-semibold text-amber-800 bg-amber-100 rounded px-2 py-1 ${className}`}>
+      {state === 'hide' ? 'Hidden by a moderator. Only you and moderators can see this.' : 'Deleted by a moderator.'}
+    </p>
+  );
+}
+
+const MAX_TAGS = 5;
+const MAX_TAG_LENGTH = 30;
+const TAG_STRIP_LIMIT = 12;
+
+// Tags are stored lowercase with hyphens for spaces, so "Year 9 Science" and "year-9-science" are the same tag
+function normalizeTag(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .trim()
+    .replace(/[\s-]+/g, '-')
+    .slice(0, MAX_TAG_LENGTH)
+    .replace(/^-+|-+$/g, '');
+}
+
+// Tags with the number of visible video concepts using each, most used first.
+// Anyone can create video_tags rows, so only tags added by the video's own creator count.
+function tagCountsQuery({ prefix = '', limit }) {
+  const params = [limit];
+  let prefixCondition = '';
+  if (prefix) {
+    params.push(`${prefix.replace(/[\\%_]/g, '\\$&')}%`);
+    prefixCondition = `AND t.tag LIKE $${params.length}`;
+  }
+  return room.query(
+    `SELECT t.tag, COUNT(DISTINCT t.video_id)::int AS video_count
+    FROM public.video_tags t
+    JOIN public.videos v ON v.id = t.video_id AND v.user_id = t.user_id
+    WHERE ${publishedCondition('v')} AND ${publiclyVisible('video', 'v.id')} ${prefixCondition}
+    GROUP BY t.tag
+    ORDER BY video_count DESC, t.tag ASC
+    LIMIT $1`,
+    params
+  );
+}
+
+function TagChips({ tags, activeTag = null, className = '' }) {
+  if (!tags || tags.length === 0) return null;
+
+  return (
+    <div className={`flex flex-wrap gap-1 ${className}`}>
+      {tags.map((tag) => (
+        <a
+          key={tag}
+          href={routeToHash({ name: 'tag', tag })}
+          className={`px-2 py-0.5 rounded-full text-xs transition duration-200 ${tag === activeTag ? 'bg-blue-600 text-white' : 'bg-blue-50 text-blue-700 hover:bg-blue-100'}`}
+        >
+          #{tag}
+        </a>
+      ))}
+    </div>
+  );
+}
+
+// "Browse by tag": the most used tags, shown above the home feed and on tag pages
+function TagStrip({ activeTag = null }) {
+  const { data: tags } = useQuery(tagCountsQuery({ limit: TAG_STRIP_LIMIT }));
+
+  if (!tags || tags.length === 0) return null;
+
+  return (
+    <div className="mb-6">
+      <p className="text-sm font-semibold text-gray-700 mb-2">Browse by tag</p>
+      <TagChips tags={tags.map((row) => row.tag)} activeTag={activeTag} />
+    </div>
+  );
+}
+
+// Chip input for a concept's tags, suggesting existing tags as you type.
+// Enter or a comma adds the typed tag, and Backspace in an empty box removes the last one.
+function TagInput({ id, tags, onChange, disabled }) {
+  const [text, setText] = useState('');
+  const [prefix, setPrefix] = useState('');
+  const full = tags.length >= MAX_TAGS;
+
+  // Debounced so suggestions aren't re-queried on every keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => setPrefix(normalizeTag(text)), 200);
+    return () => clearTimeout(timer);
+  }, [text]);
+
+  const { data: suggestions } = useQuery(prefix && !full ? tagCountsQuery({ prefix, limit: 8 }) : null);
+
+  const addTag = useCallback((value) => {
+    const tag = normalizeTag(value);
+    setText('');
+    if (tag && !tags.includes(tag) && tags.length < MAX_TAGS) onChange([...tags, tag]);
+  }, [tags, onChange]);
+
+  const handleKeyDown = useCallback((e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag(text);
+    } else if (e.key === 'Backspace' && !text && tags.length > 0) {
+      onChange(tags.slice(0, -1));
+    }
+  }, [text, tags, addTag, onChange]);
+
+  const shownSuggestions = (suggestions || []).filter((row) => !tags.includes(row.tag));
+
+  return (
+    <div>
+      <div className="shadow border rounded w-full py-2 px-3 flex flex-wrap items-center gap-1">
+        {tags.map((tag) => (
+          <span key={tag} className="flex items-center px-2 py-0.5 bg-blue-50 text-blue-700 rounded-full text-xs">
+            #{tag}
+            <button
+              type="button"
+              onClick={() => onChange(tags.filter((t) => t !== tag))}
+              className="ml-1 text-blue-400 hover:text-blue-700"
+              title={`Remove ${tag}`}
+              disabled={disabled}
+            >
+              ✕
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          id={id}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={() => addTag(text)}
+          className="flex-1 min-w-[8rem] text-gray-700 leading-tight focus:outline-none"
+          placeholder={full ? `Up to ${MAX_TAGS} tags` : 'e.g. science, stop-motion'}
+          disabled={disabled || full}
+        />
+      </div>
+      {shownSuggestions.length > 0 && (
+        <div className="flex flex-wrap gap-1 mt-1">
+          {shownSuggestions.map((row) => (
+            <button
+              key={row.tag}
+              type="button"
+              // mousedown rather than click, so the input's blur doesn't add the half-typed text first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                addTag(row.tag);
+              }}
+              className="px-2 py-0.5 bg-gray-100 text-gray-700 rounded-full text-xs hover:bg-gray-200"
+            >
+              #{row.tag} <span className="text-gray-400">{row.video_count}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Every SFX plays through one shared Web Audio graph:
+//   buffer source -> per-clip gain -> master gain (mute) -> speakers
+// so clips can be stopped all at once, muted together and mixed at their own volumes.
+// The AudioContext is created on first use, which is always a click or video playback.
+const sfxAudio = {
+  context: null,
+  master: null,
+  buffers: new Map(), // url -> Promise<AudioBuffer>
+  playing: new Set(),
+  muted: false,
+  listeners: new Set(),
+};
+
+function getSfxContext() {
+  if (!sfxAudio.context) {
+    sfxAudio.context = new AudioContext();
+    sfxAudio.master = sfxAudio.context.createGain();
+    sfxAudio.master.gain.value = sfxAudio.muted ? 0 : 1;
+    sfxAudio.master.connect(sfxAudio.context.destination);
+  }
+  return sfxAudio.context;
+}
+
+function loadSfxBuffer(url) {
+  if (!sfxAudio.buffers.has(url)) {
+    const context = getSfxContext();
+    const promise = fetch(url)
+      .then((res) => res.arrayBuffer())
+      .then((data) => context.decodeAudioData(data));
+    // Don't cache failures, so a later click can try again
+    promise.catch(() => sfxAudio.buffers.delete(url));
+    sfxAudio.buffers.set(url, promise);
+  }
+  return sfxAudio.buffers.get(url);
+}
+
+async function playSfx(url, volume = 1) {
+  const context = getSfxContext();
+  if (context.state === 'suspended') await context.resume();
+  const buffer = await loadSfxBuffer(url);
+  const source = context.createBufferSource();
+  const gain = context.createGain();
+  source.buffer = buffer;
+  gain.gain.value = volume;
+  source.connect(gain).connect(sfxAudio.master);
+  sfxAudio.playing.add(source);
+  source.onended = () => sfxAudio.playing.delete(source);
+  source.start();
+}
+
+function stopAllSfx() {
+  for (const source of sfxAudio.playing) source.stop();
+  sfxAudio.playing.clear();
+}
+
+function setSfxMuted(muted) {
+  sfxAudio.muted = muted;
+  if (sfxAudio.master) sfxAudio.master.gain.value = muted ? 0 : 1;
+  sfxAudio.listeners.forEach((listener) => listener(muted));
+}
+
+function useSfxMuted() {
+  const [muted, setMuted] = useState(sfxAudio.muted);
+
+  useEffect(() => {
+    sfxAudio.listeners.add(setMuted);
+    return () => sfxAudio.listeners.delete(setMuted);
+  }, []);
+
+  return muted;
+}
+
+// Cue times are stored as a JSON array of seconds; anything unreadable is treated as no cues
+function parseCueTimes(sfx) {
+  try {
+    const times = JSON.parse(sfx.cue_times || '[]');
+    return Array.isArray(times) ? times.filter((t) => Number.isFinite(t) && t >= 0).sort((a, b) => a - b) : [];
+  } catch {
+    return [];
+  }
+}
+
+function sfxVolume(sfx, volumes) {
+  return (volumes && volumes[sfx.id]) ?? sfx.volume ?? 1;
+}
+
+function playAudio(sfx, volumes) {
+  playSfx(sfx.sfx_url, sfxVolume(sfx, volumes)).catch(e => console.error("Error playing audio:", e));
+}
+
+// Buttons for already-loaded SFX assets. When onVolumeChange is given, each clip gets its own
+// volume slider; volumes holds the listener's overrides of the creator's volume, by SFX id.
+function SfxBoard({ sfxAssets, volumes, onVolumeChange, onPlay, reportable = false }) {
+  const muted = useSfxMuted();
+
+  if (!sfxAssets || sfxAssets.length === 0) return null;
+
+  return (
+    <div className="mt-3">
+      <div className="flex items-center justify-between mb-1">
+        <p className="text-sm font-semibold text-gray-700">Sound Effects:</p>
+        <div className="flex gap-3 text-xs text-gray-500">
+          <button onClick={stopAllSfx} className="hover:text-gray-800" title="Stop all sound effects">Stop all</button>
+          <button onClick={() => setSfxMuted(!muted)} className="hover:text-gray-800" title={muted ? 'Unmute sound effects' : 'Mute sound effects'}>
+            {muted ? 'Unmute' : 'Mute'}
+          </button>
+        </div>
+      </div>
+      <div className={onVolumeChange ? 'space-y-2' : 'flex flex-wrap gap-2'}>
+        {sortSfx(sfxAssets).map((sfx) => (
+          <div key={sfx.id} className="flex items-center gap-2">
+            <button
+              onClick={() => {
+                playAudio(sfx, volumes);
+                if (onPlay) onPlay(sfx);
+              }}
+              className="flex items-center px-3 py-1 bg-purple-100 text-purple-800 rounded-full text-xs hover:bg-purple-200 transition duration-200"
+              title={`Play ${sfx.sfx_name}`}
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" className="w-4 h-4 mr-1">
+                <path fillRule="evenodd" d="M12 2.25c-5.385 0-9.75 4.365-9.75 9.75s4.365 9.75 9.75 9.75 9.75-4.365 9.75-9.75S17.385 2.25 12 2.25ZM10.5 8.25a.75.75 0 0 0-1.5 0v7.5a.75.75 0 0 0 1.5 0V8.25ZM14.25 8.25a.75.75 0 0 0-1.5 0v7.5a.75.75 0 0 0 1.5 0V8.25Z" clipRule="evenodd" />
+              </svg>
+              {sfx.sfx_name}
+            </button>
+            {onVolumeChange && (
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                value={sfxVolume(sfx, volumes)}
+                onChange={(e) => onVolumeChange(sfx.id, Number(e.target.value))}
+                className="w-24"
+                title={`Volume for ${sfx.sfx_name}`}
+              />
+            )}
+            {reportable && (
+              <>
+                <ReportButton
+                  targetType="sfx"
+                  targetId={sfx.id}
+                  videoId={sfx.video_concept_id}
+                  ownerId={sfx.user_id}
+                  label={`sound effect "${sfx.sfx_name}"`}
+                  className="text-xs text-gray-400 hover:text-red-600"
+                />
+                <ModerationNotice state={sfx.moderation_state} />
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Colours for timeline markers, one per SFX in board order
+const CUE_COLORS = ['bg-purple-500', 'bg-pink-500', 'bg-amber-500', 'bg-teal-500', 'bg-sky-500', 'bg-lime-500'];
+
+// SFX board for the watch page: shows each SFX's cue points on a timeline under the video and,
+// with "preview edit" on, plays them automatically as playback crosses their cues.
+// volumes and onVolumeChange are the listener's volume overrides, kept by the page so that
+// SFX triggered in a watch-together session play at them too.
+function SfxEditPreview({ videoConceptId, playerRef, fallbackDuration, volumes, onVolumeChange, onSfxPlayed }) {
+  const currentUser = useCurrentUser();
+  const params = [videoConceptId];
+  const visible = visibleTo(currentUser, 'sfx', 's.id', 's.user_id', params);
+  const { data: sfxAssets, loading, error } = useQuery(
+    room.query(`SELECT ${sfxColumns()} FROM public.sfx_assets s JOIN public.videos v ON v.id = s.video_concept_id
+      WHERE s.video_concept_id = $1 AND s.user_id = v.user_id AND ${visible}`, params)
+  );
+  const [previewEdit, setPreviewEdit] = useState(false);
+  const [duration, setDuration] = useState(fallbackDuration || 0);
+  const [currentTime, setCurrentTime] = useState(0);
+
+  const sorted = sortSfx(sfxAssets || []);
+  const cues = sorted.flatMap((sfx, index) =>
+    parseCueTimes(sfx).map((time) => ({ sfx, time, color: CUE_COLORS[index % CUE_COLORS.length] }))
+  );
+
+  // Latest values for the animation loop, which shouldn't restart on every render
+  const stateRef = useRef({});
+  stateRef.current = { cues, volumes, previewEdit };
+
+  useEffect(() => {
+    const el = playerRef.current;
+    if (!el) return;
+    let lastTime = el.currentTime;
+    let frame = null;
+
+    // Checked every animation frame rather than on timeupdate, which only fires a few times a second
+    const tick = () => {
+      const time = el.currentTime;
+      const { cues, volumes, previewEdit } = stateRef.current;
+      if (previewEdit && time > lastTime && time - lastTime < 1) {
+        for (const cue of cues) {
+          if (cue.time > lastTime && cue.time <= time) playAudio(cue.sfx, volumes);
+        }
+      }
+      lastTime = time;
+      frame = requestAnimationFrame(tick);
+    };
+    const handlePlay = () => {
+      lastTime = el.currentTime;
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(tick);
+    };
+    const handlePause = () => {
+      cancelAnimationFrame(frame);
+      if (stateRef.current.previewEdit) stopAllSfx();
+    };
+    // A seek jumps over cues without playing them
+    const handleSeeking = () => {
+      lastTime = el.currentTime;
+      if (stateRef.current.previewEdit) stopAllSfx();
+    };
+    const handleTimeUpdate = () => setCurrentTime(el.currentTime);
+    const handleMetadata = () => { if (el.duration > 0) setDuration(el.duration); };
+
+    el.addEventListener('play', handlePlay);
+    el.addEventListener('pause', handlePause);
+    el.addEventListener('seeking', handleSeeking);
+    el.addEventListener('timeupdate', handleTimeUpdate);
+    el.addEventListener('loadedmetadata', handleMetadata);
+    if (!el.paused) handlePlay();
+    return () => {
+      cancelAnimationFrame(frame);
+      el.removeEventListener('play', handlePlay);
+      el.removeEventListener('pause', handlePause);
+      el.removeEventListener('seeking', handleSeeking);
+      el.removeEventListener('timeupdate', handleTimeUpdate);
+      el.removeEventListener('loadedmetadata', handleMetadata);
+    };
+  }, [playerRef]);
+
+  // Stop anything still ringing when leaving the page
+  useEffect(() => stopAllSfx, []);
+
+  const seekTo = (time) => {
+    if (playerRef.current) playerRef.current.currentTime = time;
+  };
+
+  if (loading) return <p className="text-xs text-gray-500 mt-2">Loading SFX...</p>;
+  if (error) return <p className="text-xs text-red-500 mt-2">Error loading SFX.</p>;
+  if (sorted.length === 0) return null;
+
+  return (
+    <div className="mt-3">
+      {cues.length > 0 && (
+        <>
+          <div className="flex items-center justify-between mb-1">
+            <p className="text-sm font-semibold text-gray-700">Edit timeline</p>
+            <label className="flex items-center text-sm text-gray-700">
+              <input type="checkbox" checked={previewEdit} onChange={(e) => setPreviewEdit(e.target.checked)} className="mr-1" />
+              Preview edit
+            </label>
+          </div>
+          <div className="relative h-4 bg-gray-200 rounded mb-2" title="SFX cue points">
+            {duration > 0 && (
+              <>
+                <div className="absolute inset-y-0 left-0 bg-gray-300 rounded" style={{ width: `${Math.min(100, (currentTime / duration) * 100)}%` }} />
+                {cues.map((cue) => (
+                  <button
+                    key={`${cue.sfx.id}-${cue.time}`}
+                    onClick={() => seekTo(cue.time)}
+                    className={`absolute top-0 h-4 w-1.5 -ml-0.5 rounded ${cue.color}`}
+                    style={{ left: `${Math.min(100, (cue.time / duration) * 100)}%` }}
+                    title={`${cue.sfx.sfx_name} at ${cue.time.toFixed(1)}s`}
+                  />
+                ))}
+              </>
+            )}
+          </div>
+        </>
+      )}
+      <SfxBoard sfxAssets={sorted} volumes={volumes} onVolumeChange={onVolumeChange} onPlay={onSfxPlayed} reportable />
+    </div>
+  );
+}
+
+function formatViews(count) {
+  const views = count || 0;
+  return `${views.toLocaleString()} ${views === 1 ? 'view' : 'views'}`;
+}
+
+// Poster for a card or rail item: the thumbnail if there is one, otherwise the video's first frame
+function VideoPoster({ video, className }) {
+  if (video.thumbnail_url) {
+    return <img src={video.thumbnail_url} alt={`Thumbnail for ${video.title}`} className={className} loading="lazy" />;
+  }
+  if (video.video_url) {
+    return <LazyVideoFrame src={video.video_url} className={className} />;
+  }
+  return <div className={`${className} bg-gray-200`} />;
+}
+
+// First frame of a video, only fetched once it scrolls into view
+function LazyVideoFrame({ src, className }) {
+  const ref = useRef(null);
+  const inView = useInView(ref);
+  return <video ref={ref} src={inView ? `${src}#t=0.1` : undefined} className={className} preload={inView ? 'metadata' : 'none'} muted />;
+}
+
+function formatComments(count) {
+  const comments = count || 0;
+  return `${comments.toLocaleString()} ${comments === 1 ? 'comment' : 'comments'}`;
+}
+
+// Lets the current user put a video in any of their playlists, or start a new one with it
+function AddToPlaylistPanel({ videoId, onClose }) {
+  const currentUser = useCurrentUser();
+  const { data: playlists, loading } = useQuery(
+    currentUser
+      ? room.query(
+        `SELECT p.id, p.title, p.is_public,
+          (SELECT i.id FROM public.playlist_items i WHERE i.playlist_id = p.id AND i.video_id = $2 LIMIT 1) AS item_id,
+          (SELECT COALESCE(MAX(i.position), -1) + 1 FROM public.playlist_items i WHERE i.playlist_id = p.id) AS next_position
+        FROM public.playlists p
+        WHERE p.user_id = $1
+        ORDER BY p.created_at DESC`,
+        [currentUser.id, videoId]
+      )
+      : null
+  );
+  const [newTitle, setNewTitle] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const toggle = useCallback(async (playlist) => {
+    setBusy(true);
+    try {
+      if (playlist.item_id) {
+        await room.collection('playlist_items').delete(playlist.item_id);
+      } else {
+        await room.collection('playlist_items').create({
+          playlist_id: playlist.id,
+          video_id: videoId,
+          position: playlist.next_position,
+        });
+      }
+    } catch (err) {
+      console.error('Failed to update playlist:', err);
+    } finally {
+      setBusy(false);
+    }
+  }, [videoId]);
+
+  const handleCreate = useCallback(async (e) => {
+    e.preventDefault();
+    if (!newTitle.trim()) return;
+    setBusy(true);
+    try {
+      const playlist = await room.collection('playlists').create({
+        title: newTitle.trim(),
+        description: '',
+        is_public: false,
+      });
+      await room.collection('playlist_items').create({ playlist_id: playlist.id, video_id: videoId, position: 0 });
+      setNewTitle('');
+    } catch (err) {
+      console.error('Failed to create playlist:', err);
+    } finally {
+      setBusy(false);
+    }
+  }, [newTitle, videoId]);
+
+  return (
+    <div className="mt-2 p-3 border rounded bg-gray-50 text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <p className="font-semibold text-gray-700">Add to playlist</p>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-800" title="Close">✕</button>
+      </div>
+      {loading || !currentUser ? (
+        <p className="text-gray-500">Loading playlists...</p>
+      ) : (
+        <ul className="space-y-1 mb-2">
+          {(playlists || []).map((playlist) => (
+            <li key={playlist.id}>
+              <label className="flex items-center text-gray-700">
+                <input type="checkbox" checked={!!playlist.item_id} onChange={() => toggle(playlist)} disabled={busy} className="mr-2" />
+                <span className="truncate">{playlist.title}</span>
+                {!playlist.is_public && <span className="ml-auto text-xs text-gray-400">Private</span>}
+              </label>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form onSubmit={handleCreate} className="flex gap-2">
+        <input
+          type="text"
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          placeholder="New playlist name"
+          className="flex-1 border rounded py-1 px-2 text-gray-700 focus:outline-none"
+          disabled={busy}
+        />
+        <button type="submit" className="px-2 py-1 bg-blue-500 hover:bg-blue-700 text-white rounded disabled:opacity-50" disabled={busy || !newTitle.trim()}>
+          Create
+        </button>
+      </form>
+    </div>
+  );
+}
+
+function VideoCard({ video, sfxAssets, likeRowIds, manageable = false }) {
+  const [menuOpen, setMenuOpen] = useState(false);
+  const watchHref = routeToHash({ name: 'watch', videoId: video.id });
+
+  return (
+    <div className="bg-white rounded-lg shadow-md overflow-hidden transform transition duration-300 hover:scale-105">
+      <a href={watchHref} className="block relative group" title={`Watch ${video.title}`}>
+        <VideoPoster video={video} className="w-full h-48 object-cover" />
+        {video.video_url && (
+          <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-0 group-hover:bg-opacity-30 transition duration-300">
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" className="w-12 h-12 text-white opacity-80 group-hover:opacity-100">
+              <path fillRule="evenodd" d="M2.25 12c0-5.385 4.365-9.75 9.75-9.75s9.75 4.365 9.75 9.75-4.365 9.75-9.75 9.75S2.25 17.385 2.25 12Zm14.024-.983a1.125 1.125 0 0 1 0 1.966l-5.603 3.113A1.125 1.125 0 0 1 9 15.113V8.887c0-.857.921-1.4 1.671-.983l5.603 3.113Z" clipRule="evenodd" />
+            </svg>
+          </div>
+        )}
+      </a>
+      <div className="p-4">
+        <h3 className="text-lg font-bold text-gray-800 mb-2">
+          <a href={watchHref} className="hover:text-blue-600">{video.title}</a>
+        </h3>
+        <ModerationNotice state={video.moderation_state} className="mb-2" />
+        <p className="text-gray-600 text-sm mb-3 line-clamp-3">{video.description}</p>
+        <TagChips tags={video.tags} className="mb-3" />
+        <div className="flex items-center justify-between text-sm text-gray-500">
+          <div className="flex items-center">
+            <a href={routeToHash({ name: 'profile', userId: video.user_id })}>
+              <img
+                src={`https://images.websim.com/avatar/${video.username}`}
+                alt={`${video.username}'s avatar`}
+                className="w-6 h-6 rounded-full mr-2"
+              />
+            </a>
+            <span>By <CreatorLink userId={video.user_id} username={video.username} /></span>
+          </div>
+          <span>{formatViews(video.view_count)} · {formatComments(video.comment_count)}</span>
+        </div>
+        <div className="mt-2">
+          <LikeButton videoId={video.id} likeRowIds={likeRowIds} count={video.like_count} />
+        </div>
+        <div className="flex items-center justify-between mt-2">
+          <p className="text-xs text-gray-400">Published: {new Date(video.live_at).toLocaleDateString()}</p>
+          <div className="flex items-center gap-3">
+            {manageable && (
+              <a href={routeToHash({ name: 'manage', videoId: video.id })} className="text-xs font-semibold text-blue-600 hover:underline">Manage</a>
+            )}
+            <ReportButton targetType="video" targetId={video.id} videoId={video.id} ownerId={video.user_id} label="video concept" className="text-xs text-gray-500 hover:text-red-600" />
+            <button
+              onClick={() => setMenuOpen((open) => !open)}
+              className="px-1 text-gray-500 hover:text-gray-800"
+              title="More actions"
+              aria-expanded={menuOpen}
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" className="w-5 h-5">
+                <path fillRule="evenodd" d="M10.5 6a1.5 1.5 0 1 1 3 0 1.5 1.5 0 0 1-3 0Zm0 6a1.5 1.5 0 1 1 3 0 1.5 1.5 0 0 1-3 0Zm0 6a1.5 1.5 0 1 1 3 0 1.5 1.5 0 0 1-3 0Z" clipRule="evenodd" />
+              </svg>
+            </button>
+          </div>
+        </div>
+        {/* Rendered inline rather than as a popover, which the card's overflow would clip */}
+        {menuOpen && <AddToPlaylistPanel videoId={video.id} onClose={() => setMenuOpen(false)} />}
+        <SfxBoard sfxAssets={sfxAssets} /> {/* Display SFX for this video concept */}
+      </div>
+    </div>
+  );
+}
+
+function VideoGrid({ videos, loading, error, emptyMessage, manageable }) {
+  const { sfxByVideo } = useSfxByVideo(videos);
+  const likesByVideo = useOwnLikes(videos);
+
+  return (
+    <>
+      {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4" role="alert">Error loading videos: {error.message}</div>}
+
+      {loading ? (
+        <div className="text-center text-gray-600">Loading video concepts...</div>
+      ) : !videos || videos.length === 0 ? (
+        <div className="text-center text-gray-600">{emptyMessage}</div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {videos.map((video) => (
+            <VideoCard key={video.id} video={video} sfxAssets={sfxByVideo[video.id]} likeRowIds={likesByVideo[video.id]} manageable={manageable} />
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
+
+// Calls onVisible when scrolled near, used to load the next feed page
+function LoadMoreSentinel({ onVisible }) {
+  const ref = useRef(null);
+  const inView = useInView(ref, '400px');
+
+  useEffect(() => {
+    if (inView) onVisible();
+  }, [inView, onVisible]);
+
+  return <div ref={ref} className="col-span-full text-center text-gray-500 text-sm py-4">Loading more video concepts...</div>;
+}
+
+// One page of a paged feed, with its SFX batch-loaded in a single query
+// endCursor is set once the next page has been loaded, see videoPageQuery
+function FeedPage({ filter, cursor, endCursor, isFirst, isLast, emptyMessage, manageable, onNextCursor }) {
+  const { data: rows, loading, error } = useQuery(videoPageQuery(filter, cursor, endCursor));
+  const videos = rows ? (endCursor ? rows : rows.slice(0, FEED_PAGE_SIZE)) : null;
+  const hasMore = !endCursor && !!rows && rows.length > FEED_PAGE_SIZE;
+  const { sfxByVideo } = useSfxByVideo(videos);
+  const likesByVideo = useOwnLikes(videos);
+
+  const lastVideo = videos && videos[videos.length - 1];
+  const handleNext = useCallback(() => {
+    if (lastVideo) onNextCursor(cursorAfter(lastVideo, filter.sort || 'newest'));
+  }, [lastVideo, filter.sort, onNextCursor]);
+
+  if (error) return <div className="col-span-full bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4" role="alert">Error loading videos: {error.message}</div>;
+  if (loading && !rows) return <div className="col-span-full text-center text-gray-600">Loading video concepts...</div>;
+  if (isFirst && isLast && videos.length === 0) return <div className="col-span-full text-center text-gray-600">{emptyMessage}</div>;
+
+  return (
+    <>
+      {videos.map((video) => (
+        <VideoCard key={video.id} video={video} sfxAssets={sfxByVideo[video.id]} likeRowIds={likesByVideo[video.id]} manageable={manageable} />
+      ))}
+      {isLast && hasMore && <LoadMoreSentinel onVisible={handleNext} />}
+    </>
+  );
+}
+
+// Infinite-scrolling feed. filter is { conditions, params, sort } as taken by videoPageQuery.
+// Pages are loaded one after another as the bottom of the list comes into view.
+function PagedVideoGrid(props) {
+  const viewer = useCurrentUser();
+  const filter = { ...props.filter, viewer };
+  // Start again from the first page whenever the filter or the viewer changes
+  return <PagedVideoList key={JSON.stringify(filter)} {...props} filter={filter} />;
+}
+
+function PagedVideoList({ filter, emptyMessage, manageable }) {
+  const [cursors, setCursors] = useState([null]);
+
+  const handleNextCursor = useCallback((index, cursor) => {
+    // Only the last page may extend the list, and only once
+    setCursors((prev) => (prev.length === index + 1 ? [...prev, cursor] : prev));
+  }, []);
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      {cursors.map((cursor, index) => (
+        <FeedPage
+          key={index}
+          filter={filter}
+          cursor={cursor}
+          endCursor={cursors[index + 1] || null}
+          isFirst={index === 0}
+          isLast={index === cursors.length - 1}
+          emptyMessage={emptyMessage}
+          manageable={manageable}
+          onNextCursor={(next) => handleNextCursor(index, next)}
+        />
+      ))}
+    </div>
+  );
+}
+
+// Search box, sort and filters for the home feed. All state lives in the URL.
+function FeedControls({ search }) {
+  const [query, setQuery] = useState(search.q);
+  const pushedQueryRef = useRef(search.q);
+
+  // Follow the URL when it changes from outside (back/forward, shared links), but not when
+  // it is just catching up with what was typed, or keystrokes made since would be lost
+  useEffect(() => {
+    if (search.q !== pushedQueryRef.current) {
+      pushedQueryRef.current = search.q;
+      setQuery(search.q);
+    }
+  }, [search.q]);
+
+  const update = useCallback((changes) => {
+    const next = { ...search, name: 'home', ...changes };
+    pushedQueryRef.current = next.q;
+    navigate(next, { replace: true });
+  }, [search]);
+
+  // Debounce typing so the feed query isn't re-run on every keystroke
+  useEffect(() => {
+    if (query === search.q) return;
+    const timer = setTimeout(() => update({ q: query }), 300);
+    return () => clearTimeout(timer);
+  }, [query, search.q, update]);
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-sm mb-6">
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+        placeholder="Search titles, descriptions, tags and creators"
+      />
+      <div className="flex flex-wrap items-center gap-4 mt-3 text-sm text-gray-700">
+        <label className="flex items-center">
+          <span className="mr-2">Sort by</span>
+          <select
+            value={search.sort}
+            onChange={(e) => update({ q: query, sort: e.target.value })}
+            className="border rounded py-1 px-2 text-gray-700 focus:outline-none"
+          >
+            {Object.entries(FEED_SORTS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center">
+          <input type="checkbox" checked={search.hasSfx} onChange={(e) => update({ q: query, hasSfx: e.target.checked })} className="mr-1" />
+          Has SFX
+        </label>
+        <label className="flex items-center">
+          <input type="checkbox" checked={search.hasVideo} onChange={(e) => update({ q: query, hasVideo: e.target.checked })} className="mr-1" />
+          Has video
+        </label>
+      </div>
+    </div>
+  );
+}
+
+// Compact list of the creator's other concepts, shown beside the watch page player
+function CreatorRail({ userId, username, excludeVideoId }) {
+  const currentUser = useCurrentUser();
+  const params = [userId, excludeVideoId];
+  const visible = visibleTo(currentUser, 'video', 'v.id', 'v.user_id', params);
+  const { data: videos, loading, error } = useQuery(
+    room.query(
+      `SELECT ${videoColumns()} FROM public.videos v JOIN public.user u ON v.user_id = u.id WHERE v.user_id = $1 AND v.id <> $2 AND ${publishedCondition('v')} AND ${visible} ORDER BY ${LIVE_AT} DESC LIMIT 8`,
+      params
+    )
+  );
+
+  return (
+    <div>
+      <h3 className="text-md font-semibold text-gray-800 mb-3">More from <CreatorLink userId={userId} username={username} className="hover:text-blue-600" /></h3>
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : error ? (
+        <p className="text-sm text-red-500">Error loading videos.</p>
+      ) : !videos || videos.length === 0 ? (
+        <p className="text-sm text-gray-500">No other video concepts from this creator yet.</p>
+      ) : (
+        <div className="space-y-3">
+          {videos.map((video) => (
+            <a key={video.id} href={routeToHash({ name: 'watch', videoId: video.id })} className="flex bg-white rounded-lg shadow-sm overflow-hidden hover:shadow-md transition duration-200">
+              <VideoPoster video={video} className="w-32 h-20 object-cover flex-shrink-0" />
+              <div className="p-2 min-w-0">
+                <p className="text-sm font-semibold text-gray-800 truncate">{video.title}</p>
+                <p className="text-xs text-gray-500">{formatViews(video.view_count)}</p>
+              </div>
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function CommentForm({ initialBody = '', submitLabel, placeholder, onSubmit, onCancel }) {
+  const [body, setBody] = useState(initialBody);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+    setIsSaving(true);
+    setError(null);
+    try {
+      await onSubmit(body.trim());
+      setBody('');
+    } catch (err) {
+      console.error('Failed to save comment:', err);
+      setError('Failed to save comment. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  }, [body, onSubmit]);
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-2">
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        rows="2"
+        className="shadow appearance-none border rounded w-full py-2 px-3 text-sm text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+        placeholder={placeholder}
+        disabled={isSaving}
+      ></textarea>
+      {error && <p className="text-xs text-red-500 mt-1">{error}</p>}
+      <div className="flex justify-end gap-2 mt-1">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800" disabled={isSaving}>
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          className="px-3 py-1 text-sm bg-blue-500 hover:bg-blue-700 text-white font-semibold rounded disabled:opacity-50"
+          disabled={isSaving || !body.trim()}
+        >
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// A comment plus its replies, rendered recursively. Replies are indented up to a few levels deep.
+function CommentThread({ comment, repliesByParent, video, currentUser, depth = 0 }) {
+  const [mode, setMode] = useState(null); // null, 'reply' or 'edit'
+  const replies = repliesByParent[comment.id] || [];
+  const isAuthor = currentUser && comment.user_id === currentUser.id;
+  const isVideoOwner = currentUser && video.user_id === currentUser.id;
+
+  const handleReply = useCallback(async (body) => {
+    await room.collection('comments').create({
+      video_id: video.id,
+      parent_id: comment.id,
+      body,
+    });
+    setMode(null);
+  }, [video.id, comment.id]);
+
+  const handleEdit = useCallback(async (body) => {
+    await room.collection('comments').update(comment.id, { body, edited: true });
+    setMode(null);
+  }, [comment.id]);
+
+  const handleDelete = useCallback(async () => {
+    if (!window.confirm('Delete this comment?')) return;
+    try {
+      // Keep a placeholder when there are replies so the rest of the thread still makes sense
+      if (replies.length > 0) {
+        await room.collection('comments').update(comment.id, { body: '', deleted: true });
+      } else {
+        await room.collection('comments').delete(comment.id);
+      }
+    } catch (err) {
+      console.error('Failed to delete comment:', err);
+    }
+  }, [comment.id, replies.length]);
+
+  // Websim only lets authors change their own rows, so the video owner removes
+  // other people's comments by recording a removal that the comment queries respect
+  const handleRemove = useCallback(async () => {
+    if (!window.confirm('Remove this comment from your video concept?')) return;
+    try {
+      await room.collection('comment_removals').create({
+        comment_id: comment.id,
+        video_id: video.id,
+      });
+    } catch (err) {
+      console.error('Failed to remove comment:', err);
+    }
+  }, [comment.id, video.id]);
+
+  return (
+    <div className={depth > 0 ? 'ml-6 pl-3 border-l border-gray-200' : ''}>
+      <div className="flex items-start py-2">
+        <a href={routeToHash({ name: 'profile', userId: comment.user_id })} className="flex-shrink-0">
+          <img
+            src={`https://images.websim.com/avatar/${comment.username}`}
+            alt={`${comment.username}'s avatar`}
+            className="w-7 h-7 rounded-full mr-2"
+          />
+        </a>
+        <div className="flex-1 min-w-0">
+          <p className="text-xs text-gray-500">
+            <CreatorLink userId={comment.user_id} username={comment.username} />
+            {' · '}{new Date(comment.created_at).toLocaleString()}
+            {comment.edited && !comment.deleted && ' · edited'}
+          </p>
+          {mode === 'edit' ? (
+            <CommentForm initialBody={comment.body} submitLabel="Save" onSubmit={handleEdit} onCancel={() => setMode(null)} />
+          ) : comment.deleted ? (
+            <p className="text-sm text-gray-400 italic">Comment deleted</p>
+          ) : (
+            <p className="text-sm text-gray-800 whitespace-pre-line break-words">{comment.body}</p>
+          )}
+          <ModerationNotice state={comment.moderation_state} className="mt-1 inline-block" />
+          {mode === null && !comment.deleted && (
+            <div className="flex gap-3 text-xs text-gray-500 mt-1">
+              {currentUser && <button onClick={() => setMode('reply')} className="hover:text-blue-600">Reply</button>}
+              {isAuthor && <button onClick={() => setMode('edit')} className="hover:text-blue-600">Edit</button>}
+              {isAuthor && <button onClick={handleDelete} className="hover:text-red-600">Delete</button>}
+              {!isAuthor && isVideoOwner && <button onClick={handleRemove} className="hover:text-red-600">Remove</button>}
+              <ReportButton targetType="comment" targetId={comment.id} videoId={video.id} ownerId={comment.user_id} label="comment" />
+            </div>
+          )}
+          {mode === 'reply' && (
+            <CommentForm submitLabel="Reply" placeholder={`Reply to ${comment.username}`} onSubmit={handleReply} onCancel={() => setMode(null)} />
+          )}
+        </div>
+      </div>
+      {replies.map((reply) => (
+        <CommentThread
+          key={reply.id}
+          comment={reply}
+          repliesByParent={repliesByParent}
+          video={video}
+          currentUser={currentUser}
+          depth={Math.min(depth + 1, 3)}
+        />
+      ))}
+    </div>
+  );
+}
+
+// Comments are read through a room query, so new, edited and removed comments
+// arrive over the WebsimSocket connection without a reload
+function CommentsSection({ video }) {
+  const currentUser = useCurrentUser();
+  const params = [video.id];
+  const visible = visibleTo(currentUser, 'comment', 'c.id', 'c.user_id', params);
+  const { data: comments, loading, error } = useQuery(
+    room.query(
+      `SELECT c.id, c.video_id, c.parent_id, c.body, c.edited, c.deleted, c.user_id, u.username, c.created_at,
+        ${moderationState('comment', 'c.id')} AS moderation_state
+      FROM public.comments c
+      JOIN public.user u ON c.user_id = u.id
+      JOIN public.videos v ON v.id = c.video_id
+      WHERE c.video_id = $1
+        AND NOT EXISTS (SELECT 1 FROM public.comment_removals r WHERE r.comment_id = c.id AND r.user_id = v.user_id)
+        AND ${visible}
+      ORDER BY c.created_at ASC`,
+      params
+    )
+  );
+
+  const handleCreate = useCallback(async (body) => {
+    await room.collection('comments').create({
+      video_id: video.id,
+      parent_id: null,
+      body,
+    });
+  }, [video.id]);
+
+  const ids = new Set((comments || []).map((c) => c.id));
+  const repliesByParent = {};
+  const topLevel = [];
+  for (const comment of comments || []) {
+    // Replies whose parent was removed are dropped along with it
+    if (!comment.parent_id) topLevel.push(comment);
+    else if (ids.has(comment.parent_id)) (repliesByParent[comment.parent_id] ||= []).push(comment);
+  }
+  // Count what's actually rendered, which leaves out replies further down a removed comment's thread
+  const countShown = (list) => list.reduce((sum, c) => sum + (c.deleted ? 0 : 1) + countShown(repliesByParent[c.id] || []), 0);
+  const visibleCount = countShown(topLevel);
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-4 mt-4">
+      <h3 className="text-md font-semibold text-gray-800">
+        {visibleCount === 1 ? '1 Comment' : `${visibleCount} Comments`}
+      </h3>
+      {currentUser && (
+        <CommentForm submitLabel="Comment" placeholder="Give feedback on this video concept" onSubmit={handleCreate} />
+      )}
+      {error && <p className="text-sm text-red-500 mt-2">Error loading comments.</p>}
+      {loading ? (
+        <p className="text-sm text-gray-500 mt-2">Loading comments...</p>
+      ) : (
+        <div className="mt-2 divide-y divide-gray-100">
+          {topLevel.map((comment) => (
+            <CommentThread
+              key={comment.id}
+              comment={comment}
+              repliesByParent={repliesByParent}
+              video={video}
+              currentUser={currentUser}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Presence, room state and messages only work once the socket is connected. Collections and
+// queries don't need this, so the connection is only waited for by the realtime features.
+let roomReadyPromise = null;
+function connectRoom() {
+  if (!roomReadyPromise) roomReadyPromise = room.initialize();
+  return roomReadyPromise;
+}
+
+function useRoomReady(enabled = true) {
+  const [ready, setReady] = useState(false);
+
+  useEffect(() => {
+    if (!enabled) return;
+    let cancelled = false;
+    connectRoom().then(
+      () => { if (!cancelled) setReady(true); },
+      (err) => console.error('Failed to connect to the room:', err)
+    );
+    return () => { cancelled = true; };
+  }, [enabled]);
+
+  return ready;
+}
+
+// room.onmessage only holds one handler, so incoming messages are passed on to every subscriber from here
+const roomMessages = {
+  attached: false,
+  listeners: new Set(),
+};
+
+function subscribeRoomMessages(listener) {
+  if (!roomMessages.attached) {
+    roomMessages.attached = true;
+    room.onmessage = (event) => roomMessages.listeners.forEach((l) => l(event.data));
+  }
+  roomMessages.listeners.add(listener);
+  return () => roomMessages.listeners.delete(listener);
+}
+
+// Host broadcasts its position this often while playing, and guests correct drift larger than this
+const COWATCH_HEARTBEAT_MS = 2000;
+const COWATCH_MAX_DRIFT_SECONDS = 0.75;
+// Guests ask for the host's state again if they haven't heard from it in this long
+const COWATCH_HOST_TIMEOUT_MS = 8000;
+// The host stores its state at least this often, and a session whose host hasn't for COWATCH_EXPIRE_MS is removed
+const COWATCH_KEEPALIVE_MS = 60 * 1000;
+const COWATCH_EXPIRE_MS = 15 * 60 * 1000;
+const COWATCH_CHAT_LIMIT = 100;
+const COWATCH_CHAT_MAX_LENGTH = 300;
+
+function coWatchKey(sessionId) {
+  return `cowatch:${sessionId}`;
+}
+
+// The client id this tab last hosted a session as. Client ids change on reconnect, so this is how a tab
+// knows the session is still its own, rather than taken over by the host's other tab or device.
+function coWatchHostKey(sessionId) {
+  return `schooltube:cowatch-host:${sessionId}`;
+}
+
+// Every client downloads the whole room state, so sessions the host abandoned without ending them are
+// removed by whoever next starts or joins one. Sessions from before ending removed them are cleared too.
+function sweepCoWatchSessions() {
+  const stale = Object.entries(room.roomState || {}).filter(([key, session]) =>
+    key.startsWith('cowatch:') && session && (session.ended || Date.now() - session.sentAt > COWATCH_EXPIRE_MS)
+  );
+  if (stale.length > 0) room.updateRoomState(Object.fromEntries(stale.map(([key]) => [key, null])));
+}
+
+// Opens a watch-together session on a video with the current user as host, starting from where their player is.
+// The session lives in the shared room state under its own key; its id goes in the link guests join through.
+async function startCoWatch(video, user, player) {
+  await connectRoom();
+  sweepCoWatchSessions();
+  const sessionId = crypto.randomUUID();
+  room.updateRoomState({
+    [coWatchKey(sessionId)]: {
+      videoId: video.id,
+      hostUserId: user.id,
+      hostName: user.username,
+      hostClientId: room.clientId,
+      playing: !!player && !player.paused,
+      position: player ? player.currentTime : 0,
+      sentAt: Date.now(),
+    },
+  });
+  sessionStorage.setItem(coWatchHostKey(sessionId), room.clientId);
+  navigate({ name: 'watch', videoId: video.id, together: sessionId }, { replace: true });
+}
+
+// Where the host's playhead should be now, given its last reported state and when that was sent
+function coWatchPosition(state, sentAt) {
+  return state.playing ? state.position + Math.max(0, Date.now() - sentAt) / 1000 : state.position;
+}
+
+// Keeps this player in step with a watch-together session. The host's player is the source of truth:
+// the host publishes play, pause and seek to the room state (so anyone joining or reconnecting can catch up)
+// and sends a heartbeat while playing, and guests follow whatever the host last reported.
+// Only one client hosts, the one in hostClientId. The host's other tabs and devices follow like guests
+// until they take over.
+// Chat and SFX triggers are plain room messages, seen only by whoever is connected at the time.
+// Does nothing when sessionId is null, so the watch page can always call it.
+// volumes are the listener's SFX volume overrides, which remotely triggered SFX play at.
+function useCoWatch(sessionId, videoId, playerRef, volumes) {
+  const ready = useRoomReady(!!sessionId) && !!sessionId;
+  const currentUser = useCurrentUser();
+  const key = coWatchKey(sessionId);
+  const [storedSession, setSession] = useState(null);
+  const session = ready ? storedSession : null;
+  const [viewers, setViewers] = useState([]);
+  const [messages, setMessages] = useState([]);
+  const [blocked, setBlocked] = useState(false); // the browser refused to start playback without a click
+  const lastHostMessageRef = useRef(0);
+
+  useEffect(() => {
+    setMessages([]);
+    setBlocked(false);
+  }, [sessionId]);
+
+  const isHostUser = !!session && !!currentUser && session.hostUserId === currentUser.id;
+  const hostClientId = session ? session.hostClientId : null;
+  const isHost = isHostUser && hostClientId === room.clientId;
+  const active = !!session && session.videoId === videoId;
+
+  // Only this video's SFX can be triggered remotely
+  const { data: sfxAssets } = useQuery(
+    sessionId
+      ? room.query(`SELECT s.id, s.sfx_url, s.volume FROM public.sfx_assets s JOIN public.videos v ON v.id = s.video_concept_id
+        WHERE s.video_concept_id = $1 AND s.user_id = v.user_id AND ${publiclyVisible('sfx', 's.id')}`, [videoId])
+      : null
+  );
+  const sfxRef = useRef({});
+  sfxRef.current = Object.fromEntries((sfxAssets || []).map((sfx) => [sfx.id, sfx]));
+
+  // Latest values for the room callbacks, which are subscribed once per session
+  const stateRef = useRef({});
+  stateRef.current = { session, isHost, active, volumes };
+
+  const applyHostState = useCallback((state, sentAt) => {
+    const el = playerRef.current;
+    if (!el || !state) return;
+    const target = coWatchPosition(state, sentAt);
+    if (Math.abs(el.currentTime - target) > COWATCH_MAX_DRIFT_SECONDS) el.currentTime = target;
+    if (state.playing && el.paused) {
+      el.play().then(() => setBlocked(false), () => setBlocked(true));
+    } else if (!state.playing && !el.paused) {
+      el.pause();
+    }
+  }, [playerRef]);
+
+  // Sends the host's current playback state, and also stores it in the room state when persist is set
+  const publish = useCallback((persist) => {
+    const el = playerRef.current;
+    const { session: current } = stateRef.current;
+    if (!el || !current) return;
+    const state = {
+      ...current,
+      hostClientId: room.clientId,
+      playing: !el.paused,
+      position: el.currentTime,
+      sentAt: Date.now(),
+    };
+    room.send({ type: 'cowatch:state', sessionId, state });
+    if (persist) room.updateRoomState({ [key]: state });
+    sessionStorage.setItem(coWatchHostKey(sessionId), room.clientId);
+  }, [playerRef, sessionId, key]);
+
+  const requestSync = useCallback(() => {
+    room.send({ type: 'cowatch:sync-request', sessionId });
+  }, [sessionId]);
+
+  // Session state from the room. Guests catch up from it when they join or come back.
+  // The room state changes whenever any session writes to it, so only a change to this session's
+  // entry moves the player. It's timed from when it arrived, as sentAt is by the host's clock.
+  const lastEntryRef = useRef(null);
+  useEffect(() => {
+    if (!ready) return;
+    lastEntryRef.current = null;
+    const handleRoomState = (roomState) => {
+      const next = (roomState && roomState[key]) || null;
+      const entry = JSON.stringify(next);
+      if (entry === lastEntryRef.current) return;
+      lastEntryRef.current = entry;
+      setSession(next);
+      if (next && next.hostClientId !== room.clientId) {
+        applyHostState(next, Date.now());
+      }
+    };
+    sweepCoWatchSessions();
+    handleRoomState(room.roomState);
+    return room.subscribeRoomState(handleRoomState);
+  }, [ready, key, applyHostState]);
+
+  // Who's watching: everyone whose presence says they're in this session
+  useEffect(() => {
+    if (!ready) return;
+    room.updatePresence({ cowatch: sessionId });
+    const handlePresence = (presence) => {
+      setViewers(Object.entries(presence || {})
+        .filter(([, p]) => p && p.cowatch === sessionId)
+        .map(([clientId]) => ({
+          clientId,
+          username: (room.peers[clientId] && room.peers[clientId].username) || 'Someone',
+          avatarUrl: room.peers[clientId] && room.peers[clientId].avatarUrl,
+        })));
+    };
+    handlePresence(room.presence);
+    const unsubscribe = room.subscribePresence(handlePresence);
+    return () => {
+      unsubscribe();
+      room.updatePresence({ cowatch: null });
+    };
+  }, [ready, sessionId]);
+
+  useEffect(() => {
+    if (!ready) return;
+    return subscribeRoomMessages((data) => {
+      if (!data || data.sessionId !== sessionId || data.clientId === room.clientId) return;
+      const { session: current, isHost: hosting, active: running } = stateRef.current;
+      switch (data.type) {
+        case 'cowatch:state':
+          // Only the host's current connection can move everyone's player
+          if (!hosting && running && data.clientId === current.hostClientId) {
+            lastHostMessageRef.current = Date.now();
+            applyHostState(data.state, Date.now());
+          }
+          break;
+        case 'cowatch:sync-request':
+          if (hosting && running) publish(false);
+          break;
+        case 'cowatch:chat':
+          setMessages((prev) => [...prev, {
+            id: `${data.clientId}-${data.sentAt}`,
+            username: data.username,
+            text: String(data.text).slice(0, COWATCH_CHAT_MAX_LENGTH),
+          }].slice(-COWATCH_CHAT_LIMIT));
+          break;
+        case 'cowatch:sfx': {
+          const sfx = sfxRef.current[data.sfxId];
+          if (running && sfx) playAudio(sfx, stateRef.current.volumes);
+          break;
+        }
+        default:
+          break;
+      }
+    });
+  }, [ready, sessionId, applyHostState, publish]);
+
+  // After reconnecting, the hosting tab has a new client id, so it publishes again to claim the session back.
+  // A session the host took over from another tab or device isn't claimed back.
+  useEffect(() => {
+    if (!ready || !isHostUser || !active || isHost) return;
+    if (hostClientId === sessionStorage.getItem(coWatchHostKey(sessionId))) publish(true);
+  }, [ready, isHostUser, active, isHost, hostClientId, sessionId, publish]);
+
+  // Host: publish every play, pause and seek, plus a heartbeat while playing
+  useEffect(() => {
+    const el = playerRef.current;
+    if (!ready || !isHost || !active || !el) return;
+    const handleChange = () => publish(true);
+    el.addEventListener('play', handleChange);
+    el.addEventListener('pause', handleChange);
+    el.addEventListener('seeked', handleChange);
+    const timer = setInterval(() => {
+      if (!el.paused) publish(false);
+    }, COWATCH_HEARTBEAT_MS);
+    // Keeps the session from expiring while the host is here, even when paused
+    const keepalive = setInterval(() => publish(true), COWATCH_KEEPALIVE_MS);
+    const handleOnline = () => publish(true);
+    window.addEventListener('online', handleOnline);
+    return () => {
+      el.removeEventListener('play', handleChange);
+      el.removeEventListener('pause', handleChange);
+      el.removeEventListener('seeked', handleChange);
+      clearInterval(timer);
+      clearInterval(keepalive);
+      window.removeEventListener('online', handleOnline);
+    };
+  }, [ready, isHost, active, playerRef, publish]);
+
+  // Guest: ask for the host's state on joining, when the connection or tab comes back,
+  // and whenever the host has gone quiet while playing
+  useEffect(() => {
+    if (!ready || isHost || !active) return;
+    requestSync();
+    lastHostMessageRef.current = Date.now();
+    const timer = setInterval(() => {
+      const { session: current } = stateRef.current;
+      if (current && current.playing && Date.now() - lastHostMessageRef.current > COWATCH_HOST_TIMEOUT_MS) {
+        lastHostMessageRef.current = Date.now();
+        requestSync();
+      }
+    }, COWATCH_HEARTBEAT_MS);
+    const handleVisible = () => {
+      if (document.visibilityState === 'visible') requestSync();
+    };
+    window.addEventListener('online', requestSync);
+    document.addEventListener('visibilitychange', handleVisible);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('online', requestSync);
+      document.removeEventListener('visibilitychange', handleVisible);
+    };
+  }, [ready, isHost, active, requestSync]);
+
+  const sendChat = useCallback((text) => {
+    const sentAt = Date.now();
+    room.send({ type: 'cowatch:chat', sessionId, text, sentAt });
+    setMessages((prev) => [...prev, { id: `me-${sentAt}`, username: currentUser ? currentUser.username : 'You', text }].slice(-COWATCH_CHAT_LIMIT));
+  }, [sessionId, currentUser]);
+
+  const broadcastSfx = useCallback((sfx) => {
+    if (stateRef.current.active) room.send({ type: 'cowatch:sfx', sessionId, sfxId: sfx.id });
+  }, [sessionId]);
+
+  // A click is a user gesture, so the browser allows playback to start after it
+  const resume = useCallback(() => {
+    setBlocked(false);
+    requestSync();
+    const el = playerRef.current;
+    if (el) el.play().catch(() => setBlocked(true));
+  }, [playerRef, requestSync]);
+
+  // Moves hosting to this tab or device, from another one of the host's
+  const takeOver = useCallback(() => publish(true), [publish]);
+
+  // Removes the session from the room state; guests see it has ended when it's gone
+  const end = useCallback(() => {
+    room.updateRoomState({ [key]: null });
+    sessionStorage.removeItem(coWatchHostKey(sessionId));
+  }, [key, sessionId]);
+
+  return {
+    ready,
+    session,
+    isHost,
+    canTakeOver: active && isHostUser && !isHost,
+    active,
+    hostConnected: !!session && viewers.some((viewer) => viewer.clientId === session.hostClientId),
+    viewers,
+    messages,
+    blocked,
+    sendChat,
+    broadcastSfx,
+    resume,
+    takeOver,
+    end,
+  };
+}
+
+function CoWatchChat({ messages, onSend }) {
+  const [text, setText] = useState('');
+  const listRef = useRef(null);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+  }, [messages]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = text.trim();
+    if (!trimmed) return;
+    onSend(trimmed.slice(0, COWATCH_CHAT_MAX_LENGTH));
+    setText('');
+  };
+
+  return (
+    <div className="mt-3">
+      <div ref={listRef} className="h-40 overflow-y-auto bg-gray-50 rounded p-2 space-y-1">
+        {messages.length === 0 ? (
+          <p className="text-xs text-gray-400">Messages are only seen by people watching right now.</p>
+        ) : messages.map((message) => (
+          <p key={message.id} className="text-xs text-gray-700 break-words">
+            <span className="font-semibold">{message.username}</span> {message.text}
+          </p>
+        ))}
+      </div>
+      <form onSubmit={handleSubmit} className="flex gap-2 mt-2">
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          maxLength={COWATCH_CHAT_MAX_LENGTH}
+          className="flex-1 min-w-0 shadow appearance-none border rounded py-1 px-2 text-sm text-gray-700 focus:outline-none focus:shadow-outline"
+          placeholder="Say something"
+        />
+        <button type="submit" className="px-3 py-1 bg-blue-500 text-white rounded text-sm hover:bg-blue-700" disabled={!text.trim()}>Send</button>
+      </form>
+    </div>
+  );
+}
+
+// Session status, viewers, invite link and chat for a watch-together session
+function CoWatchPanel({ cowatch, videoId }) {
+  const [copied, setCopied] = useState(false);
+  const { session, isHost, active } = cowatch;
+
+  const leave = () => navigate({ name: 'watch', videoId });
+
+  const handleCopy = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy link:', err);
+    }
+  }, []);
+
+  const handleEnd = useCallback(() => {
+    if (!window.confirm('End this watch-together session for everyone?')) return;
+    cowatch.end();
+    navigate({ name: 'watch', videoId });
+  }, [cowatch, videoId]);
+
+  if (!cowatch.ready) {
+    return <div className="bg-white rounded-lg shadow-sm p-4 mb-6 text-sm text-gray-500">Connecting to watch-together session...</div>;
+  }
+  if (!active) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm p-4 mb-6 text-sm text-gray-600">
+        {session && session.videoId !== videoId
+          ? 'This watch-together session is for a different video concept.'
+          : 'This watch-together session has ended.'}
+        <button onClick={leave} className="block mt-2 text-blue-600 hover:underline">Keep watching on your own</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-4 mb-6">
+      <div className="flex items-center justify-between">
+        <h3 className="text-md font-semibold text-gray-800">Watching together</h3>
+        {isHost ? (
+          <button onClick={handleEnd} className="text-xs text-red-600 hover:underline">End session</button>
+        ) : (
+          <button onClick={leave} className="text-xs text-gray-500 hover:text-gray-800">Leave</button>
+        )}
+      </div>
+      <p className="text-xs text-gray-500">
+        {isHost
+          ? 'You are the host. Everyone follows your player.'
+          : cowatch.canTakeOver ? "You're hosting from another tab or device." : `${session.hostName} is hosting.`}
+        {!isHost && !cowatch.hostConnected && ' Waiting for the host to reconnect...'}
+      </p>
+      {cowatch.canTakeOver && (
+        <button onClick={cowatch.takeOver} className="mt-1 text-xs font-semibold text-blue-600 hover:underline">
+          Host from here instead
+        </button>
+      )}
+      {cowatch.blocked && (
+        <button onClick={cowatch.resume} className="mt-2 w-full px-3 py-2 bg-blue-500 text-white rounded text-sm hover:bg-blue-700">
+          Click to start watching with everyone
+        </button>
+      )}
+      <div className="flex flex-wrap gap-2 mt-3" title="Watching now">
+        {cowatch.viewers.map((viewer) => (
+          <span key={viewer.clientId} className="flex items-center text-xs text-gray-700 bg-gray-100 rounded-full pr-2">
+            <img src={viewer.avatarUrl || `https://images.websim.com/avatar/${viewer.username}`} alt="" className="w-5 h-5 rounded-full mr-1" />
+            {viewer.username}{viewer.clientId === session.hostClientId && ' (host)'}
+          </span>
+        ))}
+      </div>
+      <button onClick={handleCopy} className="mt-3 text-xs font-semibold text-blue-600 hover:underline">
+        {copied ? 'Link copied!' : 'Copy invite link'}
+      </button>
+      <CoWatchChat messages={cowatch.messages} onSend={cowatch.sendChat} />
+    </div>
+  );
+}
+
+function WatchPage({ videoId, together }) {
+  const currentUser = useCurrentUser();
+  const playerRef = useRef(null);
+  // Owners can open their own drafts and scheduled concepts to check them
+  const params = [videoId, currentUser ? currentUser.id : ''];
+  const visible = visibleTo(currentUser, 'video', 'v.id', 'v.user_id', params);
+  const { data: rows, loading, error } = useQuery(
+    room.query(
+      `SELECT ${videoColumns()} FROM public.videos v JOIN public.user u ON v.user_id = u.id
+      WHERE v.id = $1 AND (${publishedCondition('v')} OR v.user_id = $2) AND ${visible}`,
+      params
+    )
+  );
+  const video = rows && rows[0];
+  const likesByVideo = useOwnLikes(rows);
+  // Overrides of each SFX's volume, by SFX id
+  const [sfxVolumes, setSfxVolumes] = useState({});
+  const handleSfxVolumeChange = useCallback((id, volume) => {
+    setSfxVolumes((prev) => ({ ...prev, [id]: volume }));
+  }, []);
+  const cowatch = useCoWatch(together, videoId, playerRef, sfxVolumes);
+  const [startingCoWatch, setStartingCoWatch] = useState(false);
+
+  const handleStartCoWatch = useCallback(async () => {
+    setStartingCoWatch(true);
+    try {
+      await startCoWatch(video, currentUser, playerRef.current);
+    } catch (err) {
+      console.error('Failed to start watch-together session:', err);
+    } finally {
+      setStartingCoWatch(false);
+    }
+  }, [video, currentUser]);
+
+  if (loading) return <div className="text-center text-gray-600">Loading video concept...</div>;
+  if (error) return <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4" role="alert">Error loading video: {error.message}</div>;
+  if (!video) return <div className="text-center text-gray-600">This video concept doesn't exist or has been removed.</div>;
+
+  const creatorHref = routeToHash({ name: 'profile', userId: video.user_id });
+
+  return (
+    <div className="flex flex-col lg:flex-row gap-6">
+      <div className="flex-1 min-w-0">
+        {video.video_url ? (
+          // Keyed by id so moving to another video from the rail resets the watched-time tracking
+          // Guests in a watch-together session follow the host's player instead of their own controls
+          <VideoPlayer
+            key={video.id}
+            video={video}
+            playerRef={playerRef}
+            controls={!cowatch.active || cowatch.isHost}
+            className="w-full rounded-lg shadow-md bg-black max-h-[70vh]"
+          />
+        ) : (
+          <VideoPoster video={video} className="w-full rounded-lg shadow-md object-cover" />
+        )}
+        <ModerationNotice state={video.moderation_state} className="mt-4" />
+        <PublishStatusNotice video={video} className="mt-4" />
+        <h2 className="text-2xl font-bold text-gray-800 mt-4">{video.title}</h2>
+        <div className="flex items-center justify-between mt-1">
+          <p className="text-sm text-gray-500">
+            {formatViews(video.view_count)} · Published {new Date(video.live_at).toLocaleDateString()}
+          </p>
+          {currentUser && currentUser.id === video.user_id ? (
+            <a href={routeToHash({ name: 'manage', videoId: video.id })} className="text-sm font-semibold text-blue-600 hover:underline">Manage</a>
+          ) : (
+            <ReportButton targetType="video" targetId={video.id} videoId={video.id} ownerId={video.user_id} label="video concept" className="text-sm text-gray-500 hover:text-red-600" />
+          )}
+        </div>
+        <div className="flex items-center justify-between mt-4">
+          <a href={creatorHref} className="flex items-center group">
+            <img
+              src={`https://images.websim.com/avatar/${video.username}`}
+              alt={`${video.username}'s avatar`}
+              className="w-10 h-10 rounded-full mr-3"
+            />
+            <span className="font-semibold text-gray-800 group-hover:text-blue-600">{video.username}</span>
+          </a>
+          <div className="flex items-center gap-4">
+            {video.video_url && currentUser && !together && (
+              <button
+                onClick={handleStartCoWatch}
+                disabled={startingCoWatch}
+                className="px-4 py-1.5 rounded-full text-sm font-semibold bg-gray-200 text-gray-800 hover:bg-gray-300 disabled:opacity-50"
+                title="Watch this video concept in sync with classmates"
+              >
+                Watch together
+              </button>
+            )}
+            <LikeButton videoId={video.id} likeRowIds={likesByVideo[video.id]} count={video.like_count} />
+            <FollowButton creatorId={video.user_id} />
+          </div>
+        </div>
+        <div className="bg-white rounded-lg shadow-sm p-4 mt-4">
+          <p className="text-gray-700 text-sm whitespace-pre-line">{video.description}</p>
+          <TagChips tags={video.tags} className="mt-2" />
+          <SfxEditPreview
+            key={video.id}
+            videoConceptId={video.id}
+            playerRef={playerRef}
+            fallbackDuration={video.video_duration}
+            volumes={sfxVolumes}
+            onVolumeChange={handleSfxVolumeChange}
+            onSfxPlayed={cowatch.broadcastSfx}
+          />
+        </div>
+        <CommentsSection video={video} />
+      </div>
+      <aside className="lg:w-80 flex-shrink-0">
+        {together && <CoWatchPanel cowatch={cowatch} videoId={video.id} />}
+        <CreatorRail userId={video.user_id} username={video.username} excludeVideoId={video.id} />
+      </aside>
+    </div>
+  );
+}
+
+function formatCueTimes(sfx) {
+  return parseCueTimes(sfx).join(', ');
+}
+
+// Playlists tab of a creator's profile. Private ones are only listed for their owner.
+function UserPlaylists({ userId, viewerId }) {
+  const { data: playlists } = useQuery(
+    room.query(
+      `SELECT p.id, p.title, p.is_public,
+        (SELECT COUNT(*)::int FROM public.playlist_items i JOIN public.videos v ON v.id = i.video_id
+          WHERE i.playlist_id = p.id AND ${publishedCondition('v')} AND ${publiclyVisible('video', 'v.id')}) AS item_count,
+        (SELECT v.thumbnail_url FROM public.playlist_items i JOIN public.videos v ON v.id = i.video_id
+          WHERE i.playlist_id = p.id AND ${publishedCondition('v')} AND ${publiclyVisible('video', 'v.id')} ORDER BY i.position ASC LIMIT 1) AS thumbnail_url
+      FROM public.playlists p
+      WHERE p.user_id = $1 AND (p.is_public OR p.user_id = $2)
+      ORDER BY p.created_at DESC`,
+      [userId, viewerId]
+    )
+  );
+
+  if (!playlists) return <div className="text-center text-gray-600">Loading playlists...</div>;
+  if (playlists.length === 0) return <div className="text-center text-gray-600">No playlists yet.</div>;
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+        {playlists.map((playlist) => (
+          <a key={playlist.id} href={routeToHash({ name: 'playlist', playlistId: playlist.id })} className="bg-white rounded-lg shadow-sm overflow-hidden hover:shadow-md transition duration-200">
+            {playlist.thumbnail_url ? (
+              <img src={playlist.thumbnail_url} alt="" className="w-full h-24 object-cover" loading="lazy" />
+            ) : (
+              <div className="w-full h-24 bg-gray-200" />
+            )}
+            <div className="p-2">
+              <p className="text-sm font-semibold text-gray-800 truncate">{playlist.title}</p>
+              <p className="text-xs text-gray-500">
+                {playlist.item_count} {playlist.item_count === 1 ? 'video' : 'videos'}{!playlist.is_public && ' · Private'}
+              </p>
+            </div>
+          </a>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const PROFILE_TABS = {
+  videos: 'Video Concepts',
+  playlists: 'Playlists',
+  liked: 'Liked',
+};
+
+function parseProfileTab(params) {
+  return PROFILE_TABS[params.get('tab')] ? params.get('tab') : 'videos';
+}
+
+const MAX_BIO_LENGTH = 500;
+
+// Each user's bio and banner live in their own profiles row. If two tabs both created one,
+// the newest row wins.
+function useProfile(userId) {
+  const { data: profiles, loading } = useQuery(
+    room.query(
+      'SELECT p.id, p.bio, p.banner_url, p.user_id FROM public.profiles p WHERE p.user_id = $1 ORDER BY p.created_at DESC LIMIT 1',
+      [userId]
+    )
+  );
+  return { profile: (profiles && profiles[0]) || null, loading };
+}
+
+function ProfileEditor({ profile, onDone }) {
+  const [bio, setBio] = useState(profile ? profile.bio || '' : '');
+  const [bannerUrl, setBannerUrl] = useState(profile ? profile.banner_url || '' : '');
+  const [bannerFile, setBannerFile] = useState(null);
+  const bannerPreviewUrl = useObjectUrl(bannerFile);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleBannerChange = useCallback(async (e) => {
+    const input = e.target;
+    const file = input.files[0];
+    setBannerFile(null);
+    setError(null);
+    if (!file) return;
+    try {
+      await validateMedia(file, 'banner');
+      setBannerFile(file);
+    } catch (err) {
+      input.value = '';
+      setError(err.message);
+    }
+  }, []);
+
+  const handleRemoveBanner = useCallback(() => {
+    setBannerFile(null);
+    setBannerUrl('');
+    clearFileInput('bannerInput');
+  }, []);
+
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const fields = {
+        bio: bio.trim(),
+        banner_url: bannerFile ? await window.websim.upload(bannerFile) : bannerUrl || null,
+      };
+      if (profile) {
+        await room.collection('profiles').update(profile.id, fields);
+      } else {
+        await room.collection('profiles').create(fields);
+      }
+      onDone();
+    } catch (err) {
+      console.error('Failed to save profile:', err);
+      setError('Failed to save profile. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  }, [bio, bannerFile, bannerUrl, profile, onDone]);
+
+  const shownBanner = bannerPreviewUrl || bannerUrl;
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white p-4 rounded-lg shadow-sm mb-6">
+      {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4" role="alert">{error}</div>}
+      <div className="mb-4">
+        <label htmlFor="bioInput" className="block text-gray-700 text-sm font-bold mb-2">Bio</label>
+        <textarea
+          id="bioInput"
+          value={bio}
+          onChange={(e) => setBio(e.target.value)}
+          rows="3"
+          maxLength={MAX_BIO_LENGTH}
+          className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+          placeholder="Tell classmates what you like to make"
+          disabled={busy}
+        />
+        <p className="text-xs text-gray-400 text-right">{bio.length}/{MAX_BIO_LENGTH}</p>
+      </div>
+      <div className="mb-4">
+        <label htmlFor="bannerInput" className="block text-gray-700 text-sm font-bold mb-2">Banner Image</label>
+        {shownBanner && <img src={shownBanner} alt="Banner preview" className="w-full h-24 object-cover rounded mb-2" />}
+        <div className="flex items-center gap-3">
+          <input
+            type="file"
+            id="bannerInput"
+            accept="image/*"
+            onChange={handleBannerChange}
+            className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-violet-50 file:text-violet-700 hover:file:bg-violet-100"
+            disabled={busy}
+          />
+          {shownBanner && (
+            <button type="button" onClick={handleRemoveBanner} className="text-sm text-red-600 hover:underline flex-shrink-0" disabled={busy}>Remove</button>
+          )}
+        </div>
+      </div>
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onDone} className="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300" disabled={busy}>Cancel</button>
+        <button type="submit" className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-700 disabled:opacity-50" disabled={busy}>
+          {busy ? 'Saving...' : 'Save Profile'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// A creator's profile: banner, bio, totals across their published concepts, and tabs
+// for their video concepts, playlists and the concepts they've liked
+function ProfilePage({ userId, tab }) {
+  const currentUser = useCurrentUser();
+  const isOwner = !!currentUser && currentUser.id === userId;
+  const [editing, setEditing] = useState(false);
+  const { profile, loading: profileLoading } = useProfile(userId);
+
+  // The profile is addressed by id only, so look the username up for the heading
+  const { data: users } = useQuery(room.query('SELECT id, username FROM public.user WHERE id = $1', [userId]));
+  const username = users && users[0] ? users[0].username : '';
+
+  const { data: followerRows } = useQuery(
+    room.query('SELECT COUNT(DISTINCT s.user_id)::int AS follower_count FROM public.subscriptions s WHERE s.creator_id = $1', [userId])
+  );
+  const followerCount = followerRows && followerRows[0] ? followerRows[0].follower_count : 0;
+
+  // Totals use the same per-video counts as the feeds, over what everyone can see
+  const { data: statRows } = useQuery(
+    room.query(
+      `SELECT COUNT(*)::int AS concept_count, COALESCE(SUM(f.sfx_count), 0)::int AS sfx_count, COALESCE(SUM(f.view_count), 0)::int AS view_count
+      FROM (
+        SELECT ${videoColumns()} FROM public.videos v JOIN public.user u ON v.user_id = u.id
+        WHERE v.user_id = $1 AND ${publishedCondition('v')} AND ${publiclyVisible('video', 'v.id')}
+      ) f`,
+      [userId]
+    )
+  );
+  const stats = (statRows && statRows[0]) || { concept_count: 0, sfx_count: 0, view_count: 0 };
+
+  return (
+    <div>
+      <button
+        onClick={() => navigate({ name: 'home' })}
+        className="mb-6 px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition duration-300 flex items-center"
+      >
+        <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-5 h-5 mr-2">
+          <path strokeLinecap="round" strokeLinejoin="round" d="M10.5 19.5L3 12m0 0l7.5-7.5M3 12h18" />
+        </svg>
+        Back to Home
+      </button>
+
+      <div className="bg-white rounded-lg shadow-md overflow-hidden mb-6">
+        {profile && profile.banner_url ? (
+          <img src={profile.banner_url} alt="" className="w-full h-36 object-cover" />
+        ) : (
+          <div className="w-full h-36 bg-gradient-to-r from-blue-500 to-purple-500" />
+        )}
+        <div className="px-6 pb-6">
+          <div className="flex items-end justify-between -mt-10">
+            {username ? (
+              <img
+                src={`https://images.websim.com/avatar/${username}`}
+                alt={`${username}'s avatar`}
+                className="w-20 h-20 rounded-full border-4 border-white bg-white"
+              />
+            ) : (
+              <div className="w-20 h-20 rounded-full border-4 border-white bg-gray-200" />
+            )}
+            <div className="flex items-center gap-3">
+              {isOwner && !editing && !profileLoading && (
+                <button onClick={() => setEditing(true)} className="px-4 py-1.5 rounded-full text-sm font-semibold bg-gray-200 text-gray-800 hover:bg-gray-300">
+                  Edit profile
+                </button>
+              )}
+              <ModeratorToggle userId={userId} />
+              <FollowButton creatorId={userId} />
+            </div>
+          </div>
+          <h2 className="text-2xl font-bold text-gray-800 mt-2">{username}</h2>
+          <p className="text-sm text-gray-500">{followerCount} {followerCount === 1 ? 'follower' : 'followers'}</p>
+          {profile && profile.bio ? (
+            <p className="text-gray-700 text-sm whitespace-pre-line mt-3">{profile.bio}</p>
+          ) : isOwner && !profileLoading && !editing && (
+            <p className="text-gray-400 text-sm mt-3">Add a bio so classmates know what you make.</p>
+          )}
+          <div className="grid grid-cols-3 gap-4 mt-4 text-center">
+            <div>
+              <p className="text-xl font-bold text-gray-800">{stats.concept_count.toLocaleString()}</p>
+              <p className="text-xs text-gray-500">{stats.concept_count === 1 ? 'Concept' : 'Concepts'}</p>
+            </div>
+            <div>
+              <p className="text-xl font-bold text-gray-800">{stats.sfx_count.toLocaleString()}</p>
+              <p className="text-xs text-gray-500">SFX shared</p>
+            </div>
+            <div>
+              <p className="text-xl font-bold text-gray-800">{stats.view_count.toLocaleString()}</p>
+              <p className="text-xs text-gray-500">{stats.view_count === 1 ? 'View' : 'Views'}</p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {editing && <ProfileEditor profile={profile} onDone={() => setEditing(false)} />}
+
+      <div className="flex border-b border-gray-200 mb-6">
+        {Object.entries(PROFILE_TABS).map(([key, label]) => (
+          <a
+            key={key}
+            href={routeToHash({ name: 'profile', userId, tab: key })}
+            className={`px-4 py-2 text-sm font-semibold -mb-px border-b-2 ${tab === key ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-800'}`}
+          >
+            {label}
+          </a>
+        ))}
+      </div>
+
+      {tab === 'videos' && (
+        <PagedVideoGrid
+          filter={{ conditions: ['v.user_id = $1'], params: [userId] }}
+          emptyMessage="No video concepts published by this user yet."
+          manageable={isOwner}
+        />
+      )}
+      {tab === 'playlists' && (
+        currentUser ? (
+          <UserPlaylists userId={userId} viewerId={currentUser.id} />
+        ) : (
+          <div className="text-center text-gray-600">Loading playlists...</div>
+        )
+      )}
+      {tab === 'liked' && (
+        <PagedVideoGrid
+          filter={{ conditions: ['EXISTS (SELECT 1 FROM public.likes l WHERE l.video_id = v.id AND l.user_id = $1)'], params: [userId] }}
+          emptyMessage="No liked video concepts yet."
+        />
+      )}
+    </div>
+  );
+}
+
+// Plays a playlist's videos back to back, moving on when each one ends
+function PlaylistPage({ playlistId }) {
+  const currentUser = useCurrentUser();
+  // Waits for the current user, since private playlists are only returned to their owner
+  const { data: playlists, loading, error } = useQuery(
+    currentUser
+      ? room.query(
+        `SELECT p.id, p.title, p.description, p.is_public, p.user_id, u.username
+        FROM public.playlists p JOIN public.user u ON p.user_id = u.id
+        WHERE p.id = $1 AND (p.is_public OR p.user_id = $2)`,
+        [playlistId, currentUser.id]
+      )
+      : null
+  );
+  // Private playlists' items are only listed for their owner, like the playlist itself
+  const itemParams = [playlistId, currentUser ? currentUser.id : ''];
+  const visibleItems = visibleTo(currentUser, 'video', 'v.id', 'v.user_id', itemParams);
+  const { data: items } = useQuery(
+    room.query(
+      `SELECT i.id AS item_id, i.position, ${videoColumns()}
+      FROM public.playlist_items i
+      JOIN public.playlists p ON p.id = i.playlist_id AND (p.is_public OR p.user_id = $2)
+      JOIN public.videos v ON v.id = i.video_id
+      JOIN public.user u ON v.user_id = u.id
+      WHERE i.playlist_id = $1 AND ${publishedCondition('v')} AND ${visibleItems}
+      ORDER BY i.position ASC, i.created_at ASC`,
+      itemParams
+    )
+  );
+  const playlist = playlists && playlists[0];
+  const [index, setIndex] = useState(0);
+  const [autoPlay, setAutoPlay] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const list = items || [];
+  const current = list[Math.min(index, list.length - 1)];
+  const isOwner = !!currentUser && !!playlist && currentUser.id === playlist.user_id;
+
+  const playAt = useCallback((next) => {
+    setIndex(next);
+    setAutoPlay(true);
+  }, []);
+
+  const handleEnded = useCallback(() => {
+    if (index < list.length - 1) playAt(index + 1);
+  }, [index, list.length, playAt]);
+
+  const run = useCallback(async (action) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      console.error('Failed to update playlist:', err);
+    } finally {
+      setBusy(false);
+    }
+  }, []);
+
+  const handleToggleVisibility = () => run(() =>
+    room.collection('playlists').update(playlistId, { is_public: !playlist.is_public })
+  );
+
+  const handleMove = (from, direction) => run(async () => {
+    await moveRow('playlist_items', list, from, direction, 'item_id');
+    if (index === from) setIndex(from + direction);
+    else if (index === from + direction) setIndex(from);
+  });
+
+  const handleRemove = (item) => run(() => room.collection('playlist_items').delete(item.item_id));
+
+  const handleDelete = () => {
+    if (!window.confirm('Delete this playlist? The video concepts in it are not affected.')) return;
+    run(async () => {
+      await Promise.all(list.map((item) => room.collection('playlist_items').delete(item.item_id)));
+      await room.collection('playlists').delete(playlistId);
+      navigate({ name: 'profile', userId: playlist.user_id });
+    });
+  };
+
+  if (loading || !currentUser) return <div className="text-center text-gray-600">Loading playlist...</div>;
+  if (error) return <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4" role="alert">Error loading playlist: {error.message}</div>;
+  if (!playlist) return <div className="text-center text-gray-600">This playlist doesn't exist or is private.</div>;
+
+  return (
+    <div className="flex flex-col lg:flex-row gap-6">
+      <div className="flex-1 min-w-0">
+        {!current ? (
+          <div className="text-center text-gray-600 py-16 bg-white rounded-lg shadow-sm">This playlist is empty.</div>
+        ) : current.video_url ? (
+          <VideoPlayer key={current.item_id} video={current} autoPlay={autoPlay} onEnded={handleEnded} className="w-full rounded-lg shadow-md bg-black max-h-[70vh]" />
+        ) : (
+          <VideoPoster video={current} className="w-full rounded-lg shadow-md object-cover" />
+        )}
+        {current && (
+          <>
+            <h2 className="text-2xl font-bold text-gray-800 mt-4">
+              <a href={routeToHash({ name: 'watch', videoId: current.id })} className="hover:text-blue-600">{current.title}</a>
+            </h2>
+            <p className="text-sm text-gray-500 mt-1">By <CreatorLink userId={current.user_id} username={current.username} className="hover:text-blue-600" /> · {formatViews(current.view_count)}</p>
+            <p className="text-gray-700 text-sm whitespace-pre-line mt-3">{current.description}</p>
+          </>
+        )}
+      </div>
+      <aside className="lg:w-80 flex-shrink-0">
+        <div className="bg-white rounded-lg shadow-sm p-4">
+          <h2 className="text-lg font-bold text-gray-800">{playlist.title}</h2>
+          <p className="text-xs text-gray-500 mb-2">
+            <CreatorLink userId={playlist.user_id} username={playlist.username} className="hover:text-blue-600" />
+            {' · '}{playlist.is_public ? 'Public' : 'Private'}
+            {list.length > 0 && ` · ${Math.min(index, list.length - 1) + 1}/${list.length}`}
+          </p>
+          {playlist.description && <p className="text-sm text-gray-600 mb-2">{playlist.description}</p>}
+          {isOwner && (
+            <div className="flex gap-3 text-xs mb-3">
+              <button onClick={handleToggleVisibility} disabled={busy} className="font-semibold text-blue-600 hover:underline disabled:opacity-50">
+                Make {playlist.is_public ? 'private' : 'public'}
+              </button>
+              <button onClick={handleDelete} disabled={busy} className="text-red-600 hover:underline disabled:opacity-50">Delete playlist</button>
+            </div>
+          )}
+          <ol className="space-y-2">
+            {list.map((item, i) => (
+              <li key={item.item_id} className={`flex items-center rounded ${i === Math.min(index, list.length - 1) ? 'bg-blue-50' : ''}`}>
+                <button onClick={() => playAt(i)} className="flex flex-1 min-w-0 items-center text-left">
+                  <VideoPoster video={item} className="w-20 h-12 object-cover rounded flex-shrink-0" />
+                  <span className="ml-2 text-sm text-gray-800 truncate">{item.title}</span>
+                </button>
+                {isOwner && (
+                  <div className="flex items-center text-xs text-gray-500 ml-1">
+                    <button onClick={() => handleMove(i, -1)} disabled={busy || i === 0} className="px-1 hover:text-gray-800 disabled:opacity-30" title="Move up">▲</button>
+                    <button onClick={() => handleMove(i, 1)} disabled={busy || i === list.length - 1} className="px-1 hover:text-gray-800 disabled:opacity-30" title="Move down">▼</button>
+                    <button onClick={() => handleRemove(item)} disabled={busy} className="px-1 hover:text-red-600" title="Remove from playlist">✕</button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ol>
+        </div>
+      </aside>
+    </div>
+  );
+}
+
+// What the moderation queue shows for a reported or moderated target, looked up by its type
+const MODERATION_TARGET_COLUMNS = `
+  CASE t.target_type
+    WHEN 'video' THEN (SELECT v.title FROM public.videos v WHERE v.id = t.target_id)
+    WHEN 'comment' THEN (SELECT c.body FROM public.comments c WHERE c.id = t.target_id)
+    WHEN 'sfx' THEN (SELECT s.sfx_name FROM public.sfx_assets s WHERE s.id = t.target_id)
+  END AS preview,
+  CASE t.target_type
+    WHEN 'video' THEN (SELECT v.thumbnail_url FROM public.videos v WHERE v.id = t.target_id)
+    WHEN 'sfx' THEN (SELECT s.sfx_url FROM public.sfx_assets s WHERE s.id = t.target_id)
+  END AS media_url,
+  CASE t.target_type
+    WHEN 'video' THEN (SELECT v.user_id FROM public.videos v WHERE v.id = t.target_id)
+    WHEN 'comment' THEN (SELECT c.user_id FROM public.comments c WHERE c.id = t.target_id)
+    WHEN 'sfx' THEN (SELECT s.user_id FROM public.sfx_assets s WHERE s.id = t.target_id)
+  END AS owner_id,
+  (SELECT u.username FROM public.user u WHERE u.id = CASE t.target_type
+    WHEN 'video' THEN (SELECT v.user_id FROM public.videos v WHERE v.id = t.target_id)
+    WHEN 'comment' THEN (SELECT c.user_id FROM public.comments c WHERE c.id = t.target_id)
+    WHEN 'sfx' THEN (SELECT s.user_id FROM public.sfx_assets s WHERE s.id = t.target_id)
+  END) AS owner_username,
+  CASE t.target_type
+    WHEN 'video' THEN t.target_id
+    WHEN 'comment' THEN (SELECT c.video_id FROM public.comments c WHERE c.id = t.target_id)
+    WHEN 'sfx' THEN (SELECT s.video_concept_id FROM public.sfx_assets s WHERE s.id = t.target_id)
+  END AS video_id`;
+
+const MODERATION_TARGET_LABELS = { video: 'Video concept', comment: 'Comment', sfx: 'Sound effect' };
+
+// One reported or moderated item with its preview and the Keep/Hide/Delete/Restore actions
+function ModerationTarget({ target, children }) {
+  const [busy, setBusy] = useState(false);
+  const missing = target.preview === null;
+
+  const act = useCallback(async (action) => {
+    if (action === 'delete' && !window.confirm('Delete this for everyone? Moderators can still restore it later.')) return;
+    setBusy(true);
+    try {
+      await room.collection('moderation_actions').create({
+        target_type: target.target_type,
+        target_id: target.target_id,
+        action,
+      });
+    } catch (err) {
+      console.error('Failed to record moderation action:', err);
+    } finally {
+      setBusy(false);
+    }
+  }, [target.target_type, target.target_id]);
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-4">
+      <div className="flex items-start justify-between gap-4">
+        <div className="min-w-0">
+          <p className="text-xs font-semibold uppercase text-gray-500">
+            {MODERATION_TARGET_LABELS[target.target_type]}
+            {target.owner_username && <> by <CreatorLink userId={target.owner_id} username={target.owner_username} className="hover:text-blue-600" /></>}
+          </p>
+          {missing ? (
+            <p className="text-sm text-gray-400 italic">No longer exists</p>
+          ) : (
+            <p className="text-sm text-gray-800 whitespace-pre-line break-words line-clamp-3">{target.preview}</p>
+          )}
+          {target.target_type === 'video' && target.media_url && (
+            <img src={target.media_url} alt="" className="w-32 h-20 object-cover rounded mt-2" loading="lazy" />
+          )}
+          {target.target_type === 'sfx' && target.media_url && (
+            <audio src={target.media_url} controls preload="none" className="mt-2 h-8" />
+          )}
+          {target.video_id && (
+            <a href={routeToHash({ name: 'watch', videoId: target.video_id })} className="text-xs text-blue-600 hover:underline">Open video concept</a>
+          )}
+        </div>
+        {!missing && (
+          <div className="flex flex-col gap-1 text-xs flex-shrink-0">
+            {target.state && target.state !== 'restore' ? (
+              <button onClick={() => act('restore')} disabled={busy} className="px-3 py-1 rounded bg-gray-200 text-gray-800 hover:bg-gray-300 disabled:opacity-50">Restore</button>
+            ) : (
+              <button onClick={() => act('restore')} disabled={busy} className="px-3 py-1 rounded bg-gray-200 text-gray-800 hover:bg-gray-300 disabled:opacity-50" title="Dismiss the reports and leave it up">Keep</button>
+            )}
+            {target.state !== 'hide' && (
+              <button onClick={() => act('hide')} disabled={busy} className="px-3 py-1 rounded bg-amber-500 text-white hover:bg-amber-600 disabled:opacity-50" title="Only the owner and moderators can see it">Hide</button>
+            )}
+            {target.state !== 'delete' && (
+              <button onClick={() => act('delete')} disabled={busy} className="px-3 py-1 rounded bg-red-600 text-white hover:bg-red-700 disabled:opacity-50" title="Nobody but moderators can see it">Delete</button>
+            )}
+          </div>
+        )}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+// Moderator-only review queue. A report stays open until a moderator acts on its target,
+// and reports made after that action open it again.
+function ModerationPage() {
+  const currentUser = useCurrentUser();
+  const moderator = useIsModerator(currentUser);
+  const { data: reports, loading, error } = useQuery(
+    moderator
+      ? room.query(
+        `SELECT t.id, t.target_type, t.target_id, t.reason, t.details, t.created_at, t.user_id AS reporter_id, r.username AS reporter,
+          ${moderationStateOf('t.target_type', 't.target_id')} AS state,
+          ${MODERATION_TARGET_COLUMNS}
+        FROM public.reports t
+        JOIN public.user r ON r.id = t.user_id
+        -- Reports on a deleted concept, or on its comments and SFX, have nothing left to act on
+        JOIN public.videos rv ON rv.id = t.video_id
+        WHERE NOT EXISTS (
+          SELECT 1 FROM public.moderation_actions m
+          WHERE m.target_type = t.target_type AND m.target_id = t.target_id
+            AND m.user_id = ANY(${moderatorIdsSql()}) AND m.created_at > t.created_at
+        )
+        ORDER BY t.created_at ASC`,
+        []
+      )
+      : null
+  );
+  const { data: moderated } = useQuery(
+    moderator
+      ? room.query(
+        `SELECT t.*, t.action AS state, ${MODERATION_TARGET_COLUMNS}
+        FROM (
+          SELECT DISTINCT ON (m.target_type, m.target_id) m.target_type, m.target_id, m.action, m.created_at, m.user_id AS moderator_id, u.username AS moderator
+          FROM public.moderation_actions m JOIN public.user u ON u.id = m.user_id
+          WHERE m.user_id = ANY(${moderatorIdsSql()})
+          ORDER BY m.target_type, m.target_id, m.created_at DESC
+        ) t
+        WHERE t.action <> 'restore'
+        ORDER BY t.created_at DESC`,
+        []
+      )
+      : null
+  );
+
+  if (!currentUser || moderator === null) return <div className="text-center text-gray-600">Loading...</div>;
+  if (!moderator) return <div className="text-center text-gray-600">Only moderators can see the moderation queue.</div>;
+
+  // Oldest first, so nothing waits at the bottom of the queue forever
+  const queue = [];
+  const byTarget = {};
+  for (const report of reports || []) {
+    const key = `${report.target_type}:${report.target_id}`;
+    if (!byTarget[key]) {
+      byTarget[key] = { ...report, reports: [] };
+      queue.push(byTarget[key]);
+    }
+    byTarget[key].reports.push(report);
+  }
+
+  return (
+    <div>
+      <h2 className="text-2xl font-semibold mb-6 text-gray-800 text-center">Moderation</h2>
+      <h3 className="text-lg font-semibold text-gray-800 mb-3">Open reports</h3>
+      {error && <p className="text-sm text-red-500 mb-3">Error loading reports.</p>}
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading reports...</p>
+      ) : queue.length === 0 ? (
+        <p className="text-sm text-gray-500">Nothing to review.</p>
+      ) : (
+        <div className="space-y-4">
+          {queue.map((target) => (
+            <ModerationTarget key={`${target.target_type}:${target.target_id}`} target={target}>
+              <ul className="mt-3 border-t border-gray-100 pt-2 space-y-1">
+                {target.reports.map((report) => (
+                  <li key={report.id} className="text-xs text-gray-600">
+                    <span className="font-semibold">{REPORT_REASONS[report.reason] || report.reason}</span>
+                    {' · '}<CreatorLink userId={report.reporter_id} username={report.reporter} className="hover:text-blue-600" />{' · '}{new Date(report.created_at).toLocaleString()}
+                    {report.details && <span className="block text-gray-500 whitespace-pre-line">{report.details}</span>}
+                  </li>
+                ))}
+              </ul>
+            </ModerationTarget>
+          ))}
+        </div>
+      )}
+
+      <h3 className="text-lg font-semibold text-gray-800 mt-8 mb-3">Hidden and deleted</h3>
+      {!moderated || moderated.length === 0 ? (
+        <p className="text-sm text-gray-500">Nothing is hidden right now.</p>
+      ) : (
+        <div className="space-y-4">
+          {moderated.map((target) => (
+            <ModerationTarget key={`${target.target_type}:${target.target_id}`} target={target}>
+              <p className="text-xs text-gray-500 mt-2">
+                {target.state === 'hide' ? 'Hidden' : 'Deleted'} by <CreatorLink userId={target.moderator_id} username={target.moderator} className="hover:text-blue-600" /> on {new Date(target.created_at).toLocaleString()}
+              </p>
+            </ModerationTarget>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// One row of the SFX list on the manage page: name, cue points in the main video and volume
+function ManageSfxRow({ sfx, index, count, videoDuration, onMove, onRemove }) {
+  const [name, setName] = useState(sfx.sfx_name);
+  const savedCueText = formatCueTimes(sfx);
+  const [cueText, setCueText] = useState(savedCueText);
+  const [volume, setVolume] = useState(sfx.volume ?? 1);
+  const [cueError, setCueError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => setName(sfx.sfx_name), [sfx.sfx_name]);
+  useEffect(() => setCueText(savedCueText), [savedCueText]);
+  useEffect(() => setVolume(sfx.volume ?? 1), [sfx.volume]);
+
+  const save = useCallback(async (changes, revert) => {
+    setIsSaving(true);
+    try {
+      await room.collection('sfx_assets').update(sfx.id, changes);
+    } catch (err) {
+      console.error('Failed to update SFX:', err);
+      revert();
+    } finally {
+      setIsSaving(false);
+    }
+  }, [sfx.id]);
+
+  const handleRename = useCallback(() => {
+    if (!name.trim() || name.trim() === sfx.sfx_name) return;
+    save({ sfx_name: name.trim() }, () => setName(sfx.sfx_name));
+  }, [save, name, sfx.sfx_name]);
+
+  const handleCuesBlur = useCallback(() => {
+    const parts = cueText.split(',').map((part) => part.trim()).filter(Boolean);
+    const times = parts.map(Number);
+    if (times.some((t) => !Number.isFinite(t) || t < 0)) {
+      setCueError('Cue times must be numbers of seconds, separated by commas.');
+      return;
+    }
+    if (videoDuration && times.some((t) => t > videoDuration)) {
+      setCueError(`Cue times must be within the video's ${videoDuration.toFixed(1)} seconds.`);
+      return;
+    }
+    setCueError(null);
+    const cueTimes = JSON.stringify([...new Set(times)].sort((a, b) => a - b));
+    if (cueTimes === JSON.stringify(parseCueTimes(sfx))) return;
+    save({ cue_times: cueTimes }, () => setCueText(formatCueTimes(sfx)));
+  }, [save, cueText, videoDuration, sfx]);
+
+  const handleVolumeCommit = useCallback(() => {
+    if (volume === (sfx.volume ?? 1)) return;
+    save({ volume }, () => setVolume(sfx.volume ?? 1));
+  }, [save, volume, sfx.volume]);
+
+  return (
+    <li className="flex items-start gap-2 py-2">
+      <div className="flex flex-col">
+        <button type="button" onClick={() => onMove(index, -1)} disabled={index === 0} className="text-gray-500 hover:text-gray-800 disabled:opacity-30" title="Move up">▲</button>
+        <button type="button" onClick={() => onMove(index, 1)} disabled={index === count - 1} className="text-gray-500 hover:text-gray-800 disabled:opacity-30" title="Move down">▼</button>
+      </div>
+      <div className="flex-1 min-w-0 space-y-1">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={handleRename}
+          onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+          className="w-full shadow appearance-none border rounded py-1 px-2 text-sm text-gray-700 focus:outline-none focus:shadow-outline"
+          disabled={isSaving}
+        />
+        <div className="flex items-center gap-2 text-xs text-gray-600">
+          <label className="flex items-center flex-1">
+            <span className="mr-1 whitespace-nowrap">Cues (s)</span>
+            <input
+              type="text"
+              value={cueText}
+              onChange={(e) => setCueText(e.target.value)}
+              onBlur={handleCuesBlur}
+              onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+              placeholder="e.g. 2.5, 14"
+              className="w-full border rounded py-0.5 px-1 text-gray-700 focus:outline-none"
+              disabled={isSaving}
+            />
+          </label>
+          <label className="flex items-center">
+            <span className="mr-1">Vol</span>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={volume}
+              onChange={(e) => setVolume(Number(e.target.value))}
+              onPointerUp={handleVolumeCommit}
+              onKeyUp={handleVolumeCommit}
+              className="w-20"
+              disabled={isSaving}
+            />
+          </label>
+        </div>
+        {cueError && <p className="text-xs text-red-500">{cueError}</p>}
+      </div>
+      <button type="button" onClick={() => playAudio(sfx, { [sfx.id]: volume })} className="px-2 py-1 text-xs bg-purple-100 text-purple-800 rounded-full hover:bg-purple-200">
+        Play
+      </button>
+      <button type="button" onClick={() => onRemove(sfx)} className="px-2 py-1 text-xs text-red-600 hover:text-red-800">
+        Remove
+      </button>
+    </li>
+  );
+}
+
+// Rows linked to the given concepts that their owner wrote, so can delete along with them, as
+// { collection, video_id, id }. Other people's comments, views, likes, playlist items and reports can't
+// be deleted by the owner; every query that reads them joins the concept, so they drop out once it's gone.
+function conceptLinkedRowsQuery(videoIds, ownerId) {
+  return room.query(
+    `SELECT 'sfx_assets' AS collection, s.video_concept_id AS video_id, s.id FROM public.sfx_assets s WHERE s.video_concept_id = ANY($1) AND s.user_id = $2
+    UNION ALL SELECT 'video_tags', t.video_id, t.id FROM public.video_tags t WHERE t.video_id = ANY($1) AND t.user_id = $2
+    UNION ALL SELECT 'comments', c.video_id, c.id FROM public.comments c WHERE c.video_id = ANY($1) AND c.user_id = $2
+    UNION ALL SELECT 'comment_removals', r.video_id, r.id FROM public.comment_removals r WHERE r.video_id = ANY($1) AND r.user_id = $2
+    UNION ALL SELECT 'video_views', vv.video_id, vv.id FROM public.video_views vv WHERE vv.video_id = ANY($1) AND vv.user_id = $2
+    UNION ALL SELECT 'likes', l.video_id, l.id FROM public.likes l WHERE l.video_id = ANY($1) AND l.user_id = $2
+    UNION ALL SELECT 'playlist_items', i.video_id, i.id FROM public.playlist_items i WHERE i.video_id = ANY($1) AND i.user_id = $2
+    UNION ALL SELECT 'reports', rp.video_id, rp.id FROM public.reports rp WHERE rp.video_id = ANY($1) AND rp.user_id = $2`,
+    [videoIds, ownerId]
+  );
+}
+
+// Deletes a concept with its linked rows from conceptLinkedRowsQuery. The linked rows go first
+// so a failure never leaves orphans pointing at a missing video.
+async function deleteConcept(videoId, linkedRows) {
+  await Promise.all(linkedRows
+    .filter((row) => row.video_id === videoId)
+    .map((row) => room.collection(row.collection).delete(row.id)));
+  await room.collection('videos').delete(videoId);
+}
+
+// Owner-only editing of a published video concept and its SFX
+function ManagePage({ videoId }) {
+  const currentUser = useCurrentUser();
+  const { data: rows, loading, error: queryError } = useQuery(
+    room.query(`SELECT ${videoColumns()} FROM public.videos v JOIN public.user u ON v.user_id = u.id WHERE v.id = $1`, [videoId])
+  );
+  // Only the owner's SFX belong to the concept; rows others attached can't be renamed, moved or deleted here
+  const { data: sfxAssets } = useQuery(
+    room.query(`SELECT s.* FROM public.sfx_assets s JOIN public.videos v ON v.id = s.video_concept_id
+      WHERE s.video_concept_id = $1 AND s.user_id = v.user_id`, [videoId])
+  );
+  const { data: linkedRows } = useQuery(currentUser ? conceptLinkedRowsQuery([videoId], currentUser.id) : null);
+  const video = rows && rows[0];
+  const sortedSfx = sortSfx(sfxAssets || []);
+
+  const [title, setTitle] = useState('');
+  const [description, setDescription] = useState('');
+  const [busy, setBusy] = useState(null); // description of the running operation, or null
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState(null);
+
+  // Fill the form once the video has loaded (and again if another video is opened).
+  // Later changes to the row (including our own saves) don't overwrite what's being typed.
+  const loadedVideoRef = useRef(null);
+  useEffect(() => {
+    if (video && loadedVideoRef.current !== video.id) {
+      loadedVideoRef.current = video.id;
+      setTitle(video.title);
+      setDescription(video.description);
+    }
+  }, [video]);
+
+  const run = useCallback(async (label, action) => {
+    setBusy(label);
+    setError(null);
+    setStatus('');
+    try {
+      await action();
+    } catch (err) {
+      console.error(`${label} failed:`, err);
+      // Validation messages explain what's wrong with the file, so show those as they are
+      setError(err.name === 'MediaValidationError' ? err.message : `${label} failed. Please try again.`);
+    } finally {
+      setBusy(null);
+    }
+  }, []);
+
+  const handleSaveDetails = useCallback((e) => {
+    e.preventDefault();
+    if (!title.trim() || !description.trim()) {
+      setError('Title and description cannot be empty.');
+      return;
+    }
+    run('Saving details', async () => {
+      await room.collection('videos').update(videoId, { title: title.trim(), description: description.trim() });
+      setStatus('Details saved.');
+    });
+  }, [run, videoId, title, description]);
+
+  const handleReplaceThumbnail = useCallback((e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    run('Replacing thumbnail', async () => {
+      await validateMedia(file, 'thumbnail');
+      const url = await window.websim.upload(file);
+      await room.collection('videos').update(videoId, { thumbnail_url: url });
+      setStatus('Thumbnail replaced.');
+    });
+  }, [run, videoId]);
+
+  const handleReplaceVideo = useCallback((e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    run('Replacing main video', async () => {
+      const info = await validateMedia(file, 'video');
+      const url = await window.websim.upload(file);
+      await room.collection('videos').update(videoId, {
+        video_url: url,
+        video_mime: info.mime,
+        video_duration: info.duration,
+        video_width: info.width,
+        video_height: info.height,
+      });
+      setStatus('Main video replaced.');
+    });
+  }, [run, videoId]);
+
+  const handleAddSfx = useCallback((e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    if (files.length === 0) return;
+    run('Adding sound effects', async () => {
+      // Check every file before uploading any, so one bad file doesn't leave the rest half-added
+      const infos = await Promise.all(files.map((file) => validateMedia(file, 'sfx')));
+      let position = sortedSfx.reduce((max, sfx) => Math.max(max, sfx.position ?? -1), sortedSfx.length - 1) + 1;
+      for (const [index, file] of files.entries()) {
+        const sfxUrl = await window.websim.upload(file);
+        await room.collection('sfx_assets').create({
+          video_concept_id: videoId,
+          sfx_url: sfxUrl,
+          sfx_name: file.name,
+          mime_type: infos[index].mime,
+          duration: infos[index].duration,
+          position: position++,
+        });
+      }
+      setStatus(`Added ${files.length} sound effect${files.length === 1 ? '' : 's'}.`);
+    });
+  }, [run, videoId, sortedSfx]);
+
+  const handleMoveSfx = useCallback((index, direction) => {
+    run('Reordering sound effects', () => moveRow('sfx_assets', sortedSfx, index, direction));
+  }, [run, sortedSfx]);
+
+  const handleRemoveSfx = useCallback((sfx) => {
+    if (!window.confirm(`Remove "${sfx.sfx_name}"?`)) return;
+    run('Removing sound effect', async () => {
+      await room.collection('sfx_assets').delete(sfx.id);
+    });
+  }, [run]);
+
+  const handleDownloadBundle = useCallback(() => {
+    run('Preparing bundle', async () => {
+      await downloadBundle(video, sortedSfx);
+      setStatus('Bundle downloaded.');
+    });
+  }, [run, video, sortedSfx]);
+
+  const handleDeleteConcept = useCallback(() => {
+    if (!window.confirm('Delete this video concept and all of its sound effects? This cannot be undone.')) return;
+    run('Deleting video concept', async () => {
+      await deleteConcept(videoId, linkedRows);
+      navigate({ name: 'profile', userId: video.user_id });
+    });
+  }, [run, linkedRows, videoId, video]);
+
+  if (loading) return <div className="text-center text-gray-600">Loading video concept...</div>;
+  if (queryError) return <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4" role="alert">Error loading video: {queryError.message}</div>;
+  if (!video) return <div className="text-center text-gray-600">This video concept doesn't exist or has been removed.</div>;
+  if (!currentUser) return <div className="text-center text-gray-600">Loading...</div>;
+  if (currentUser.id !== video.user_id) return <div className="text-center text-gray-600">Only the creator of this video concept can manage it.</div>;
+
+  const disabled = busy !== null;
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-700">Manage Video Concept</h2>
+        <a href={routeToHash({ name: 'watch', videoId })} className="text-sm text-blue-600 hover:underline">View</a>
+      </div>
+      <ModerationNotice state={video.moderation_state} className="mb-4" />
+      {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4" role="alert">{error}</div>}
+      {(busy || status) && <p className="text-sm text-gray-700 mb-4 font-semibold">{busy ? `${busy}...` : status}</p>}
+
+      <form onSubmit={handleSaveDetails} className="mb-6">
+        <div className="mb-4">
+          <label htmlFor="manageTitle" className="block text-gray-700 text-sm font-bold mb-2">Video Concept Title</label>
+          <input
+            type="text"
+            id="manageTitle"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+            disabled={disabled}
+            required
+          />
+        </div>
+        <div className="mb-4">
+          <label htmlFor="manageDescription" className="block text-gray-700 text-sm font-bold mb-2">Video Concept Description</label>
+          <textarea
+            id="manageDescription"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            rows="4"
+            className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+            disabled={disabled}
+            required
+          ></textarea>
+        </div>
+        <button
+          type="submit"
+          className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:opacity-50"
+          disabled={disabled}
+        >
+          Save Details
+        </button>
+      </form>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+        <div>
+          <p className="block text-gray-700 text-sm font-bold mb-2">Thumbnail</p>
+          <VideoPoster video={{ ...video, video_url: null }} className="w-full h-32 object-cover rounded mb-2" />
+          <input
+            type="file"
+            accept="image/*"
+            onChange={handleReplaceThumbnail}
+            className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-violet-50 file:text-violet-700 hover:file:bg-violet-100"
+            disabled={disabled}
+          />
+        </div>
+        <div>
+          <p className="block text-gray-700 text-sm font-bold mb-2">Main Video File</p>
+          {video.video_url ? (
+            <video src={video.video_url} controls preload="metadata" className="w-full h-32 object-cover rounded mb-2 bg-black" />
+          ) : (
+            <div className="w-full h-32 rounded mb-2 bg-gray-200" />
+          )}
+          <input
+            type="file"
+            accept="video/*"
+            onChange={handleReplaceVideo}
+            className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-green-50 file:text-green-700 hover:file:bg-green-100"
+            disabled={disabled}
+          />
+        </div>
+      </div>
+
+      <div className="mb-6">
+        <p className="block text-gray-700 text-sm font-bold mb-2">Sound Effects (SFX)</p>
+        {sortedSfx.length === 0 ? (
+          <p className="text-sm text-gray-500 mb-2">No sound effects yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 mb-2">
+            {sortedSfx.map((sfx, index) => (
+              <ManageSfxRow
+                key={sfx.id}
+                sfx={sfx}
+                index={index}
+                count={sortedSfx.length}
+                videoDuration={video.video_duration}
+                onMove={handleMoveSfx}
+                onRemove={handleRemoveSfx}
+              />
+            ))}
+          </ul>
+        )}
+        <label htmlFor="manageSfxInput" className="block text-gray-600 text-sm mb-1">Add sound effects</label>
+        <input
+          type="file"
+          id="manageSfxInput"
+          accept="audio/*"
+          multiple
+          onChange={handleAddSfx}
+          className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-purple-50 file:text-purple-700 hover:file:bg-purple-100"
+          disabled={disabled}
+        />
+      </div>
+
+      <div className="mb-6">
+        <p className="block text-gray-700 text-sm font-bold mb-2">Bundle</p>
+        <p className="text-sm text-gray-500 mb-2">
+          A zip of this concept's details, thumbnail, video and sound effects (with their cues). Import it from the create page to copy the concept to another account.
+        </p>
+        <button
+          type="button"
+          onClick={handleDownloadBundle}
+          className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:opacity-50"
+          disabled={disabled}
+        >
+          {busy === 'Preparing bundle' ? 'Preparing...' : 'Download Bundle'}
+        </button>
+      </div>
+
+      <div className="border-t pt-4">
+        <button
+          type="button"
+          onClick={handleDeleteConcept}
+          className="bg-red-500 hover:bg-red-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:opacity-50"
+          disabled={disabled || !linkedRows}
+        >
+          Delete Video Concept
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// What each kind of upload may be. MIME types are checked against the file's actual bytes,
+// not its extension or the type the browser guesses.
+const MEDIA_RULES = {
+  thumbnail: {
+    label: 'Thumbnail',
+    maxBytes: 5 * 1024 * 1024,
+    mimes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+  },
+  banner: {
+    label: 'Banner',
+    maxBytes: 5 * 1024 * 1024,
+    mimes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+  },
+  video: {
+    label: 'Main video',
+    maxBytes: 200 * 1024 * 1024,
+    maxDuration: 10 * 60,
+    mimes: ['video/mp4', 'video/webm', 'video/quicktime', 'video/ogg'],
+  },
+  sfx: {
+    label: 'Sound effect',
+    maxBytes: 10 * 1024 * 1024,
+    maxDuration: 30,
+    mimes: ['audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/webm', 'audio/mp4', 'audio/aac', 'audio/flac'],
+  },
+};
+
+// Detects the real MIME type from the file's leading bytes. kind picks between the
+// audio and video flavours of container formats that can hold either.
+async function sniffMime(file, kind) {
+  const bytes = new Uint8Array(await file.slice(0, 16).arrayBuffer());
+  const ascii = (start, end) => String.fromCharCode(...bytes.slice(start, end));
+  const isAudio = kind === 'sfx';
+
+  if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'image/jpeg';
+  if (ascii(0, 8) === '\x89PNG\r\n\x1A\n') return 'image/png';
+  if (ascii(0, 4) === 'GIF8') return 'image/gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'audio/wav';
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand === 'qt  ') return 'video/quicktime';
+    return isAudio || brand.startsWith('M4A') ? 'audio/mp4' : 'video/mp4';
+  }
+  if (bytes[0] === 0x1A && bytes[1] === 0x45 && bytes[2] === 0xDF && bytes[3] === 0xA3) return isAudio ? 'audio/webm' : 'video/webm';
+  if (ascii(0, 4) === 'OggS') return isAudio ? 'audio/ogg' : 'video/ogg';
+  if (ascii(0, 4) === 'fLaC') return 'audio/flac';
+  if (ascii(0, 3) === 'ID3') return 'audio/mpeg';
+  // Frame sync: ADTS AAC has layer bits 00, MPEG audio (MP3) doesn't
+  if (bytes[0] === 0xFF && (bytes[1] & 0xF6) === 0xF0) return 'audio/aac';
+  if (bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0) return 'audio/mpeg';
+  return null;
+}
+
+// Loads a file's metadata into a media element to read its duration and dimensions
+function probeMedia(file, mime) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const cleanup = () => URL.revokeObjectURL(url);
+    if (mime.startsWith('image/')) {
+      const img = new Image();
+      img.onload = () => { cleanup(); resolve({ width: img.naturalWidth, height: img.naturalHeight }); };
+      img.onerror = () => { cleanup(); reject(new Error('could not be read as an image')); };
+      img.src = url;
+      return;
+    }
+    const el = document.createElement(mime.startsWith('audio/') ? 'audio' : 'video');
+    el.preload = 'metadata';
+    el.onloadedmetadata = () => {
+      cleanup();
+      resolve({ duration: el.duration, width: el.videoWidth || null, height: el.videoHeight || null });
+    };
+    el.onerror = () => { cleanup(); reject(new Error("couldn't be decoded by this browser")); };
+    el.src = url;
+  });
+}
+
+// Checks a file against MEDIA_RULES[kind] before it is uploaded.
+// Resolves with { mime, duration, width, height }; rejects with a message fit to show the user.
+async function validateMedia(file, kind) {
+  const rules = MEDIA_RULES[kind];
+  const fail = (reason) => {
+    const err = new Error(`${rules.label} "${file.name}" ${reason}.`);
+    err.name = 'MediaValidationError';
+    throw err;
+  };
+
+  if (file.size > rules.maxBytes) fail(`is ${formatBytes(file.size)}, the limit is ${formatBytes(rules.maxBytes)}`);
+  const mime = await sniffMime(file, kind);
+  if (!mime || !rules.mimes.includes(mime)) fail('is not a supported format');
+  // Catches containers this browser can't decode. Chrome and Firefox report video/quicktime as
+  // unplayable although most .mov files are plain H.264 they play fine, so those are left to the probe.
+  const isMov = mime === 'video/quicktime';
+  if (!mime.startsWith('image/') && !isMov && document.createElement(kind === 'sfx' ? 'audio' : 'video').canPlayType(mime) === '') {
+    fail(`is a ${mime} file, which this browser can't play`);
+  }
+
+  let info;
+  try {
+    info = await probeMedia(file, mime);
+  } catch (err) {
+    // Usually HEVC, which only Safari plays
+    fail(isMov ? "is a .mov this browser can't play. Export it as MP4 (H.264) and try again" : err.message);
+  }
+  if (rules.maxDuration && !(info.duration <= rules.maxDuration)) {
+    fail(Number.isFinite(info.duration)
+      ? `is ${Math.round(info.duration)} seconds long, the limit is ${rules.maxDuration} seconds`
+      : 'has an unknown length');
+  }
+  return { mime, duration: info.duration ?? null, width: info.width ?? null, height: info.height ?? null };
+}
+
+// Object URL for a local file, revoked when the file changes or the component unmounts
+function useObjectUrl(file) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    if (!file) {
+      setUrl(null);
+      return;
+    }
+    const objectUrl = URL.createObjectURL(file);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [file]);
+
+  return url;
+}
+
+// Lets the user scrub through the selected video and capture a frame as the thumbnail
+function ThumbnailFromVideo({ videoFile, duration, onCapture, disabled }) {
+  const videoUrl = useObjectUrl(videoFile);
+  const videoRef = useRef(null);
+  const [time, setTime] = useState(0);
+  const [isCapturing, setIsCapturing] = useState(false);
+  const [captureError, setCaptureError] = useState(null);
+
+  // A new video starts again from its first frame
+  useEffect(() => {
+    setTime(0);
+    setCaptureError(null);
+  }, [videoFile]);
+
+  useEffect(() => {
+    if (videoRef.current) videoRef.current.currentTime = time;
+  }, [time, videoUrl]);
+
+  const handleCapture = useCallback(async () => {
+    const el = videoRef.current;
+    if (!el || !el.videoWidth) return;
+    setIsCapturing(true);
+    setCaptureError(null);
+    try {
+      // Until the seek to the chosen time has finished, the element still shows the previous frame
+      if (el.seeking) await new Promise((resolve) => el.addEventListener('seeked', resolve, { once: true }));
+      const canvas = document.createElement('canvas');
+      canvas.width = el.videoWidth;
+      canvas.height = el.videoHeight;
+      canvas.getContext('2d').drawImage(el, 0, 0, canvas.width, canvas.height);
+      const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+      if (!blob) throw new Error('Canvas produced no image');
+      const baseName = videoFile.name.replace(/\.[^.]+$/, '');
+      onCapture(new File([blob], `${baseName}-${time.toFixed(1)}s.jpg`, { type: 'image/jpeg' }));
+    } catch (err) {
+      console.error('Failed to capture thumbnail:', err);
+      setCaptureError("Couldn't capture that frame. Try another one, or upload an image instead.");
+    } finally {
+      setIsCapturing(false);
+    }
+  }, [videoFile, time, onCapture]);
+
+  if (!videoFile) return <p className="text-sm text-gray-500">Select a main video file first.</p>;
+
+  return (
+    <div>
+      <video ref={videoRef} src={videoUrl} muted preload="auto" className="w-full h-48 object-contain bg-black rounded" />
+      <div className="flex items-center gap-3 mt-2">
+        <input
+          type="range"
+          min="0"
+          max={duration || 0}
+          step="0.1"
+          value={time}
+          onChange={(e) => setTime(Number(e.target.value))}
+          className="flex-1"
+          disabled={disabled}
+        />
+        <span className="text-sm text-gray-600 w-14 text-right">{time.toFixed(1)}s</span>
+        <button
+          type="button"
+          onClick={handleCapture}
+          className="px-3 py-1 text-sm bg-violet-50 text-violet-700 font-semibold rounded-full hover:bg-violet-100 disabled:opacity-50"
+          disabled={disabled || isCapturing}
+        >
+          Use this frame
+        </button>
+      </div>
+      {captureError && <p className="mt-2 text-sm text-red-600">{captureError}</p>}
+    </div>
   );
+}
+
+function clearFileInput(id) {
+  const input = document.getElementById(id);
+  if (input) input.value = '';
+}
+
+// A bundle is a zip of manifest.json plus the media files it names, so a concept can be archived
+// or moved to another account. Bump BUNDLE_VERSION if the manifest changes shape.
+const BUNDLE_FORMAT = 'video-concept-bundle';
+const BUNDLE_VERSION = 1;
+const BUNDLE_MANIFEST = 'manifest.json';
+
+const MIME_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'video/quicktime': 'mov',
+  'video/ogg': 'ogv',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/ogg': 'ogg',
+  'audio/webm': 'weba',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/flac': 'flac',
+};
+
+function bundleError(message) {
+  const err = new Error(message);
+  err.name = 'BundleError';
+  return err;
+}
+
+// Keeps names usable as zip paths and downloaded file names
+function bundleFileName(name) {
+  return name.replace(/[\\/:*?"<>|\x00-\x1F]+/g, '_').trim().slice(0, 80);
+}
+
+async function fetchAsset(url, label) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to download ${label} (HTTP ${response.status})`);
+  return response.blob();
+}
+
+// Builds the bundle for a concept and its SFX and starts the download
+async function downloadBundle(video, sfxAssets) {
+  const sorted = sortSfx(sfxAssets);
+  const [thumbnail, videoBlob, ...sfxBlobs] = await Promise.all([
+    video.thumbnail_url ? fetchAsset(video.thumbnail_url, 'thumbnail') : null,
+    video.video_url ? fetchAsset(video.video_url, 'video') : null,
+    ...sorted.map((sfx) => fetchAsset(sfx.sfx_url, `SFX "${sfx.sfx_name}"`)),
+  ]);
+
+  const zip = new JSZip();
+  let thumbnailPath = null;
+  if (thumbnail) {
+    thumbnailPath = `thumbnail.${MIME_EXTENSIONS[thumbnail.type] || 'jpg'}`;
+    zip.file(thumbnailPath, thumbnail);
+  }
+  let videoPath = null;
+  if (videoBlob) {
+    videoPath = `video.${MIME_EXTENSIONS[video.video_mime || videoBlob.type] || 'mp4'}`;
+    zip.file(videoPath, videoBlob);
+  }
+  const sfxEntries = sorted.map((sfx, index) => {
+    // Numbered so two SFX with the same name don't overwrite each other, and with an extension
+    // (unless the name already ends in it) so the files open in an ordinary player
+    const baseName = bundleFileName(sfx.sfx_name) || 'sfx';
+    const extension = MIME_EXTENSIONS[sfx.mime_type || sfxBlobs[index].type];
+    const fileName = extension && !baseName.toLowerCase().endsWith(`.${extension}`) ? `${baseName}.${extension}` : baseName;
+    const path = `sfx/${String(index + 1).padStart(2, '0')}-${fileName}`;
+    zip.file(path, sfxBlobs[index]);
+    return {
+      name: sfx.sfx_name,
+      file: path,
+      volume: sfx.volume ?? null,
+      cue_times: parseCueTimes(sfx),
+    };
+  });
+
+  zip.file(BUNDLE_MANIFEST, JSON.stringify({
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exported_at: new Date().toISOString(),
+    title: video.title,
+    description: video.description,
+    tags: video.tags || [],
+    thumbnail: thumbnailPath,
+    video: videoPath,
+    sfx: sfxEntries,
+  }, null, 2));
+
+  // Media is already compressed, so the zip only stores it
+  const blob = await zip.generateAsync({ type: 'blob' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${bundleFileName(video.title) || 'video-concept'}.zip`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Reads a bundle back into Files and form values, checking the manifest along the way.
+// The media itself is checked by the caller with validateMedia, like files picked by hand,
+// and the Files get their type from that check, since zip entries don't have one.
+async function readBundle(file) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(file);
+  } catch (err) {
+    throw bundleError(`"${file.name}" isn't a zip file.`);
+  }
+  const manifestEntry = zip.file(BUNDLE_MANIFEST);
+  if (!manifestEntry) throw bundleError(`"${file.name}" has no ${BUNDLE_MANIFEST}, so it isn't a video concept bundle.`);
 
-  const playAudio = useCallback((url) => {
-    const audio = new Audio(url);
-    audio.play().catch(e => console.error("Error playing audio:", e));
+  let manifest;
+  try {
+    manifest = JSON.parse(await manifestEntry.async('string'));
+  } catch (err) {
+    throw bundleError(`The bundle's ${BUNDLE_MANIFEST} isn't valid JSON.`);
+  }
+  if (!manifest || manifest.format !== BUNDLE_FORMAT) throw bundleError("This zip isn't a video concept bundle.");
+  if (!Number.isInteger(manifest.version) || manifest.version > BUNDLE_VERSION) {
+    throw bundleError('This bundle was made by a newer version of the app and can\'t be imported.');
+  }
+  if (typeof manifest.title !== 'string' || typeof manifest.description !== 'string') {
+    throw bundleError("The bundle's manifest has no title or description.");
+  }
+  const sfxEntries = manifest.sfx == null ? [] : manifest.sfx;
+  const wellFormed = (sfx) => !!sfx && typeof sfx === 'object' && typeof sfx.file === 'string'
+    && (sfx.name == null || typeof sfx.name === 'string')
+    && (sfx.cue_times == null || Array.isArray(sfx.cue_times))
+    && (sfx.volume == null || typeof sfx.volume === 'number');
+  if (!Array.isArray(sfxEntries) || !sfxEntries.every(wellFormed)) throw bundleError("The bundle's SFX list is malformed.");
+
+  const readFile = async (path, name) => {
+    const entry = typeof path === 'string' ? zip.file(path) : null;
+    if (!entry) throw bundleError(`The bundle is missing ${typeof path === 'string' ? path : 'a file its manifest lists'}.`);
+    return new File([await entry.async('blob')], name);
+  };
+
+  return {
+    title: manifest.title,
+    description: manifest.description,
+    tags: [...new Set((Array.isArray(manifest.tags) ? manifest.tags : [])
+      .filter((tag) => typeof tag === 'string')
+      .map(normalizeTag)
+      .filter(Boolean))].slice(0, MAX_TAGS),
+    thumbnail: manifest.thumbnail ? await readFile(manifest.thumbnail, String(manifest.thumbnail).split('/').pop()) : null,
+    video: manifest.video ? await readFile(manifest.video, String(manifest.video).split('/').pop()) : null,
+    sfx: await Promise.all(sfxEntries.map(async (sfx) => {
+      const name = sfx.name && sfx.name.trim() ? sfx.name.trim() : sfx.file.split('/').pop();
+      return {
+        file: await readFile(sfx.file, name),
+        cueTimes: parseCueTimes({ cue_times: JSON.stringify(sfx.cue_times || []) }),
+        volume: Number.isFinite(sfx.volume) ? Math.min(1, Math.max(0, sfx.volume)) : null,
+      };
+    })),
+  };
+}
+
+// How many files upload at once when publishing
+const UPLOAD_CONCURRENCY = 3;
+
+function publishAbandonedError() {
+  const err = new Error('Publish abandoned');
+  err.name = 'PublishAbandonedError';
+  return err;
+}
+
+// Deletes the rows a failed or abandoned publish had already created, so no half-published concept is left behind
+async function rollbackPublish(created) {
+  await Promise.all([
+    ...created.sfx.map((sfx) =>
+      room.collection('sfx_assets').delete(sfx.id).catch((err) => console.error('Failed to roll back SFX:', err))
+    ),
+    ...created.tags.map((tag) =>
+      room.collection('video_tags').delete(tag.id).catch((err) => console.error('Failed to roll back tag:', err))
+    ),
+  ]);
+  if (created.video) {
+    await room.collection('videos').delete(created.video.id).catch((err) => console.error('Failed to roll back video:', err));
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Uploads a set of files concurrently and tracks each one's status:
+// queued -> uploading -> done | failed, or cancelled at any point.
+// window.websim.upload can't be aborted or report bytes sent, so a cancelled upload is simply
+// ignored when it finishes, and progress is measured in bytes of files that have completed.
+// Finished uploads are remembered per File, so publishing again after a failure only
+// uploads what is still missing.
+function useUploadQueue() {
+  const [items, setItems] = useState([]);
+  const itemsRef = useRef([]);
+  const uploadedRef = useRef(new Map()); // File -> uploaded URL
+  const waiterRef = useRef(null); // { resolve, reject } for the current wait()
+
+  const setAll = useCallback((next) => {
+    itemsRef.current = next;
+    setItems(next);
+
+    const waiter = waiterRef.current;
+    if (!waiter) return;
+    if (next.some((item) => item.required && item.status === 'cancelled')) {
+      waiterRef.current = null;
+      waiter.reject(publishAbandonedError());
+    } else if (next.every((item) => item.status === 'done' || item.status === 'cancelled')) {
+      waiterRef.current = null;
+      waiter.resolve(next);
+    }
   }, []);
 
-  if (sfxLoading) return <p className="text-xs text-gray-500 mt-2">Loading SFX...</p>;
-  if (sfxError) return <p className="text-xs text-red-500 mt-2">Error loading SFX.</p>;
-  if (!sfxAssets || sfxAssets.length === 0) return null;
+  const updateItem = useCallback((key, changes) => {
+    setAll(itemsRef.current.map((item) => (item.key === key ? { ...item, ...changes } : item)));
+  }, [setAll]);
+
+  // Start queued uploads until the concurrency limit is reached
+  const pump = useCallback(() => {
+    let running = itemsRef.current.filter((item) => item.status === 'uploading').length;
+    for (const item of itemsRef.current) {
+      if (running >= UPLOAD_CONCURRENCY) break;
+      if (item.status !== 'queued') continue;
+      running++;
+      const attempt = item.attempt + 1;
+      updateItem(item.key, { status: 'uploading', attempt, error: null });
+      window.websim.upload(item.file).then(
+        (url) => {
+          uploadedRef.current.set(item.file, url);
+          const current = itemsRef.current.find((i) => i.key === item.key);
+          // Ignore results for uploads that were cancelled or retried since
+          if (current && current.attempt === attempt && current.status === 'uploading') {
+            updateItem(item.key, { status: 'done', url });
+          }
+          pump();
+        },
+        (err) => {
+          console.error(`Failed to upload ${item.file.name}:`, err);
+          const current = itemsRef.current.find((i) => i.key === item.key);
+          if (current && current.attempt === attempt && current.status === 'uploading') {
+            updateItem(item.key, { status: 'failed', error: err.message || 'Upload failed' });
+          }
+          pump();
+        }
+      );
+    }
+  }, [updateItem]);
+
+  // Replace the queue with new entries ({ key, file, label, required }) and start uploading
+  const start = useCallback((entries) => {
+    setAll(entries.map((entry) => {
+      const url = uploadedRef.current.get(entry.file);
+      return { ...entry, attempt: 0, error: null, url: url || null, status: url ? 'done' : 'queued' };
+    }));
+    pump();
+  }, [setAll, pump]);
+
+  // Resolves with the items once every file is done or cancelled. Failed files keep it waiting
+  // until they are retried or cancelled. Rejects if a required file is cancelled or on abandon().
+  const wait = useCallback(() => new Promise((resolve, reject) => {
+    waiterRef.current = { resolve, reject };
+    setAll(itemsRef.current);
+  }), [setAll]);
+
+  const retry = useCallback((key) => {
+    updateItem(key, { status: 'queued', error: null });
+    pump();
+  }, [updateItem, pump]);
+
+  const cancel = useCallback((key) => {
+    updateItem(key, { status: 'cancelled' });
+    pump();
+  }, [updateItem, pump]);
+
+  const abandon = useCallback(() => {
+    const waiter = waiterRef.current;
+    waiterRef.current = null;
+    setAll(itemsRef.current.map((item) => (item.status === 'done' ? item : { ...item, status: 'cancelled' })));
+    if (waiter) waiter.reject(publishAbandonedError());
+  }, [setAll]);
+
+  const reset = useCallback(() => {
+    uploadedRef.current = new Map();
+    setAll([]);
+  }, [setAll]);
+
+  const active = items.filter((item) => item.status !== 'cancelled');
+  const totalBytes = active.reduce((sum, item) => sum + item.file.size, 0);
+  const doneBytes = active.filter((item) => item.status === 'done').reduce((sum, item) => sum + item.file.size, 0);
+
+  return { items, totalBytes, doneBytes, start, wait, retry, cancel, abandon, reset };
+}
+
+const UPLOAD_STATUS_STYLES = {
+  queued: 'bg-gray-100 text-gray-600',
+  uploading: 'bg-blue-100 text-blue-700',
+  done: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700',
+  cancelled: 'bg-gray-100 text-gray-400',
+};
+
+function UploadQueueStatus({ queue }) {
+  if (queue.items.length === 0) return null;
 
   return (
-    <div className="mt-3">
-      <p className="text-sm font-semibold text-gray-700 mb-1">Sound Effects:</p>
-      <div className="flex flex-wrap gap-2">
-        {sfxAssets.map((sfx) => (
-          <button
-            key={sfx.id}
-            onClick={() => playAudio(sfx.sfx_url)}
-            className="flex items-center px-3 py-1 bg-purple-100 text-purple-800 rounded-full text-xs hover:bg-purple-200 transition duration-200"
-            title={`Play ${sfx.sfx_name}`}
-          >
-            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" className="w-4 h-4 mr-1">
-              <path fillRule="evenodd" d="M12 2.25c-5.385 0-9.75 4.365-9.75 9.75s4.365 9.75 9.75 9.75 9.75-4.365 9.75-9.75S17.385 2.25 12 2.25ZM10.5 8.25a.75.75 0 0 0-1.5 0v7.5a.75.75 0 0 0 1.5 0V8.25ZM14.25 8.25a.75.75 0 0 0-1.5 0v7.5a.75.75 0 0 0 1.5 0V8.25Z" clipRule="evenodd" />
-            </svg>
-            {sfx.sfx_name}
-          </button>
+    <ul className="mb-4 divide-y divide-gray-100 border rounded">
+      {queue.items.map((item) => (
+        <li key={item.key} className="flex items-center justify-between px-3 py-2 text-sm">
+          <div className="min-w-0 mr-2">
+            <p className="truncate text-gray-700">{item.label}: {item.file.name}</p>
+            <p className="text-xs text-gray-400">{formatBytes(item.file.size)}{item.error && ` · ${item.error}`}</p>
+          </div>
+          <div className="flex items-center gap-2 flex-shrink-0">
+            <span className={`px-2 py-0.5 rounded-full text-xs ${UPLOAD_STATUS_STYLES[item.status]}`}>
+              {item.status === 'uploading' ? 'uploading...' : item.status}
+            </span>
+            {item.status === 'failed' && (
+              <button type="button" onClick={() => queue.retry(item.key)} className="text-xs font-semibold text-blue-600 hover:underline">Retry</button>
+            )}
+            {(item.status === 'queued' || item.status === 'uploading' || item.status === 'failed') && (
+              <button type="button" onClick={() => queue.cancel(item.key)} className="text-xs text-gray-500 hover:text-red-600">Cancel</button>
+            )}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// <input type="datetime-local"> works in local time without a zone, so convert to and from ISO timestamps
+function toDateTimeLocal(value) {
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function isScheduled(video) {
+  return !!video.publish_at && new Date(video.publish_at) > new Date();
+}
+
+// Tells the owner why a concept they can open isn't in the feeds yet
+function PublishStatusNotice({ video, className = '' }) {
+  if (video.status === 'draft') {
+    return (
+      <p className={`text-xs font-semibold text-gray-700 bg-gray-100 rounded px-2 py-1 ${className}`}>
+        Draft. Only you can see this.{' '}
+        <a href={routeToHash({ name: 'create', draftId: video.id })} className="text-blue-600 hover:underline">Continue editing</a>
+      </p>
+    );
+  }
+  if (isScheduled(video)) {
+    return (
+      <p className={`text-xs font-semibold text-blue-800 bg-blue-50 rounded px-2 py-1 ${className}`}>
+        Scheduled to publish {new Date(video.publish_at).toLocaleString()}. Only you can see it until then.
+      </p>
+    );
+  }
+  return null;
+}
+
+// The current user's drafts and scheduled concepts, shown above the create form
+function MyDrafts({ currentDraftId }) {
+  const currentUser = useCurrentUser();
+  const { data: drafts } = useQuery(
+    currentUser
+      ? room.query(
+        `SELECT v.id, v.title, v.status, v.publish_at, v.thumbnail_url, v.created_at
+        FROM public.videos v
+        WHERE v.user_id = $1 AND (v.status = 'draft' OR v.publish_at > NOW())
+        ORDER BY v.created_at DESC`,
+        [currentUser.id]
+      )
+      : null
+  );
+  const draftIds = (drafts || []).map((draft) => draft.id);
+  const { data: linkedRows } = useQuery(
+    currentUser && draftIds.length > 0 ? conceptLinkedRowsQuery(draftIds, currentUser.id) : null
+  );
+  const [busyId, setBusyId] = useState(null);
+
+  const handleDiscard = useCallback(async (draft) => {
+    if (!window.confirm(`Discard the draft "${draft.title}"? This cannot be undone.`)) return;
+    setBusyId(draft.id);
+    try {
+      await deleteConcept(draft.id, linkedRows);
+      if (draft.id === currentDraftId) navigate({ name: 'create' }, { replace: true });
+    } catch (err) {
+      console.error('Failed to discard draft:', err);
+    } finally {
+      setBusyId(null);
+    }
+  }, [currentDraftId, linkedRows]);
+
+  const handlePublishNow = useCallback(async (draft) => {
+    setBusyId(draft.id);
+    try {
+      // It goes live now, so it's dated now rather than when it was scheduled
+      await room.collection('videos').update(draft.id, { publish_at: null, published_at: new Date().toISOString() });
+    } catch (err) {
+      console.error('Failed to publish video concept:', err);
+    } finally {
+      setBusyId(null);
+    }
+  }, []);
+
+  if (!drafts || drafts.length === 0) return null;
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-md mb-6">
+      <h3 className="text-md font-semibold text-gray-700 mb-3">My drafts</h3>
+      <ul className="divide-y divide-gray-100">
+        {drafts.map((draft) => (
+          <li key={draft.id} className={`flex items-center py-2 ${draft.id === currentDraftId ? 'bg-blue-50 rounded' : ''}`}>
+            {draft.thumbnail_url ? (
+              <img src={draft.thumbnail_url} alt="" className="w-16 h-10 object-cover rounded flex-shrink-0" loading="lazy" />
+            ) : (
+              <div className="w-16 h-10 bg-gray-200 rounded flex-shrink-0" />
+            )}
+            <div className="ml-3 flex-1 min-w-0">
+              <p className="text-sm font-semibold text-gray-800 truncate">{draft.title || 'Untitled'}</p>
+              <p className="text-xs text-gray-500">
+                {draft.status === 'draft'
+                  ? `Draft started ${new Date(draft.created_at).toLocaleDateString()}`
+                  : `Scheduled for ${new Date(draft.publish_at).toLocaleString()}`}
+              </p>
+            </div>
+            <div className="flex gap-3 text-xs ml-2">
+              {draft.status === 'draft' ? (
+                <>
+                  {draft.id !== currentDraftId && (
+                    <a href={routeToHash({ name: 'create', draftId: draft.id })} className="font-semibold text-blue-600 hover:underline">Resume</a>
+                  )}
+                  <button onClick={() => handleDiscard(draft)} disabled={busyId === draft.id || !linkedRows} className="text-red-600 hover:underline disabled:opacity-50">Discard</button>
+                </>
+              ) : (
+                <>
+                  <button onClick={() => handlePublishNow(draft)} disabled={busyId === draft.id} className="font-semibold text-blue-600 hover:underline disabled:opacity-50">Publish now</button>
+                  <a href={routeToHash({ name: 'manage', videoId: draft.id })} className="text-gray-600 hover:underline">Manage</a>
+                </>
+              )}
+            </div>
+          </li>
         ))}
-      </div>
+      </ul>
     </div>
   );
 }
@@ -51,143 +4119,429 @@ function SfxPlayer({ videoConceptId }) {
 function App() {
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
+  const [tags, setTags] = useState([]);
+  const [publishAt, setPublishAt] = useState(''); // datetime-local value, empty to publish straight away
   const [thumbnailFile, setThumbnailFile] = useState(null);
   const [videoFile, setVideoFile] = useState(null);
   const [sfxFiles, setSfxFiles] = useState([]); // New state for SFX files
+  const [videoInfo, setVideoInfo] = useState(null); // validated { mime, duration, width, height } of videoFile
+  const [sfxInfo, setSfxInfo] = useState([]); // validated metadata for each of sfxFiles, in the same order
+  const [thumbnailMode, setThumbnailMode] = useState('upload'); // 'upload' a file or 'generate' from the video
+  const [fileErrors, setFileErrors] = useState({}); // validation message per file field
+  const [importingBundle, setImportingBundle] = useState(false);
+  const thumbnailPreviewUrl = useObjectUrl(thumbnailFile);
   const [isUploading, setIsUploading] = useState(false);
-  const [uploadProgress, setUploadProgress] = useState(0);
+  const uploadQueue = useUploadQueue();
+  const { start: startUploads, wait: waitForUploads, abandon: abandonUploads, reset: resetUploads } = uploadQueue;
+  const abandonedRef = useRef(false);
   const [uploadStatus, setUploadStatus] = useState('');
   const [error, setError] = useState(null);
-  const [currentPage, setCurrentPage] = useState({ name: 'home' });
+  const currentPage = useRoute();
+  const currentUser = useCurrentUser();
+  const isModerator = useIsModerator(currentUser);
+  usePublishClock(); // Re-renders the page when a scheduled concept goes live
+  useProjectCreator(); // Re-renders the page once moderators can be told apart
 
-  // Fetch all published videos, ordered by created_at descending using SQL
-  // Corrected: Join with public.user table to get the username and include v.user_id
-  const { data: videos, loading, error: queryError } = useQuery(
-    room.query('SELECT v.id, v.title, v.description, v.thumbnail_url, v.video_url, v.user_id, u.username, v.created_at FROM public.videos v JOIN public.user u ON v.user_id = u.id ORDER BY v.created_at DESC')
+  // The draft being resumed on #/create/:id, if any. Only its owner can load it.
+  const draftId = currentPage.name === 'create' ? currentPage.draftId || null : null;
+  const { data: draftRows } = useQuery(
+    draftId && currentUser
+      ? room.query(
+        `SELECT ${videoColumns()} FROM public.videos v JOIN public.user u ON v.user_id = u.id
+        WHERE v.id = $1 AND v.user_id = $2 AND v.status = 'draft'`,
+        [draftId, currentUser.id]
+      )
+      : null
+  );
+  const draft = (draftRows && draftRows[0]) || null;
+  const { data: draftSfx } = useQuery(
+    draft ? room.query('SELECT s.id, s.sfx_name, s.position FROM public.sfx_assets s WHERE s.video_concept_id = $1 AND s.user_id = $2 ORDER BY s.position ASC, s.created_at ASC', [draft.id, draft.user_id]) : null
   );
+  const { data: draftTags } = useQuery(
+    draft ? room.query('SELECT t.id, t.tag FROM public.video_tags t WHERE t.video_id = $1 AND t.user_id = $2', [draft.id, draft.user_id]) : null
+  );
+
+  const clearSelectedFiles = useCallback(() => {
+    setThumbnailFile(null);
+    setVideoFile(null);
+    setSfxFiles([]); // Clear SFX files
+    setVideoInfo(null);
+    setSfxInfo([]);
+    setFileErrors({});
+    clearFileInput('thumbnailInput'); // Not rendered when the thumbnail was generated
+    clearFileInput('videoInput');
+    clearFileInput('sfxInput'); // Clear SFX input
+  }, []);
+
+  const resetForm = useCallback(() => {
+    setTitle('');
+    setDescription('');
+    setTags([]);
+    setPublishAt('');
+    clearSelectedFiles();
+  }, [clearSelectedFiles]);
+
+  // Fill the form in once when a draft is opened, and clear it when going from a draft to a new concept.
+  // Later changes to the draft row (including our own saves) don't overwrite what's being typed.
+  const loadedDraftRef = useRef(null);
+  useEffect(() => {
+    if (draft && loadedDraftRef.current !== draft.id) {
+      loadedDraftRef.current = draft.id;
+      resetForm();
+      setTitle(draft.title || '');
+      setDescription(draft.description || '');
+      setTags(draft.tags || []);
+      setPublishAt(isScheduled(draft) ? toDateTimeLocal(draft.publish_at) : '');
+    } else if (!draftId && loadedDraftRef.current) {
+      loadedDraftRef.current = null;
+      resetForm();
+    }
+  }, [draft, draftId, resetForm]);
 
-  // Query for user-specific videos
-  const { data: userVideos, loading: userVideosLoading, error: userVideosError } = useQuery(
-    currentPage.name === 'userVideos'
-      ? room.query('SELECT v.id, v.title, v.description, v.thumbnail_url, v.video_url, v.user_id, u.username, v.created_at FROM public.videos v JOIN public.user u ON v.user_id = u.id WHERE v.user_id = $1 ORDER BY v.created_at DESC', [currentPage.userId])
+  // Trending: rank by recent views, each view decaying by half every TRENDING_HALF_LIFE_HOURS.
+  // Only the first view per user session is scored, matching how view_count is counted.
+  // Hidden videos are left out for everyone but their creator, as in the other feeds.
+  const trendingParams = [TRENDING_HALF_LIFE_HOURS * 3600, TRENDING_WINDOW_DAYS, TRENDING_LIMIT];
+  const trendingVisible = visibleTo(currentUser, 'video', 'v.id', 'v.user_id', trendingParams);
+  const { data: trendingVideos, loading: trendingLoading, error: trendingError } = useQuery(
+    currentPage.name === 'trending'
+      ? room.query(
+        `SELECT ${videoColumns()}, t.trending_score
+        FROM public.videos v
+        JOIN public.user u ON v.user_id = u.id
+        JOIN (
+          SELECT s.video_id, SUM(EXP(-EXTRACT(EPOCH FROM (NOW() - s.created_at)) * LN(2) / $1::float)) AS trending_score
+          FROM (
+            SELECT DISTINCT ON (vv.video_id, vv.user_id, vv.session_id) vv.video_id, vv.created_at
+            FROM public.video_views vv
+            WHERE vv.created_at > NOW() - ($2::int * INTERVAL '1 day')
+            ORDER BY vv.video_id, vv.user_id, vv.session_id, vv.created_at
+          ) s
+          GROUP BY s.video_id
+        ) t ON t.video_id = v.id
+        WHERE ${publishedCondition('v')} AND ${trendingVisible}
+        ORDER BY t.trending_score DESC, ${LIVE_AT} DESC
+        LIMIT $3`,
+        trendingParams
+      )
       : null
   );
 
-  const handleThumbnailFileChange = useCallback((e) => {
-    setThumbnailFile(e.target.files[0]);
+  const setFileError = useCallback((field, message) => {
+    setFileErrors((prev) => ({ ...prev, [field]: message }));
   }, []);
 
-  const handleVideoFileChange = useCallback((e) => {
-    setVideoFile(e.target.files[0]);
-  }, []);
+  const handleThumbnailFileChange = useCallback(async (e) => {
+    const input = e.target;
+    const file = input.files[0];
+    setThumbnailFile(null);
+    setFileError('thumbnail', null);
+    if (!file) return;
+    try {
+      await validateMedia(file, 'thumbnail');
+      setThumbnailFile(file);
+    } catch (err) {
+      input.value = '';
+      setFileError('thumbnail', err.message);
+    }
+  }, [setFileError]);
 
-  const handleSfxFileChange = useCallback((e) => {
-    setSfxFiles(Array.from(e.target.files));
-  }, []);
+  const handleThumbnailCaptured = useCallback((file) => {
+    setThumbnailFile(file);
+    setFileError('thumbnail', null);
+  }, [setFileError]);
 
-  const handleSubmit = useCallback(async (e) => {
-    e.preventDefault();
-    setError(null);
-    setIsUploading(true);
-    setUploadProgress(0);
-    setUploadStatus('');
+  const handleThumbnailModeChange = useCallback((mode) => {
+    setThumbnailMode(mode);
+    setThumbnailFile(null);
+    setFileError('thumbnail', null);
+  }, [setFileError]);
 
-    if (!title.trim() || !description.trim() || !thumbnailFile || !videoFile) {
-      setError('Please fill in all fields and select a thumbnail and a main video file.');
-      setIsUploading(false);
-      return;
+  const handleVideoFileChange = useCallback(async (e) => {
+    const input = e.target;
+    const file = input.files[0];
+    setVideoFile(null);
+    setVideoInfo(null);
+    setFileError('video', null);
+    // A frame captured from the previous video doesn't belong to this one
+    if (thumbnailMode === 'generate') setThumbnailFile(null);
+    if (!file) return;
+    try {
+      const info = await validateMedia(file, 'video');
+      setVideoFile(file);
+      setVideoInfo(info);
+    } catch (err) {
+      input.value = '';
+      setFileError('video', err.message);
+    }
+  }, [thumbnailMode, setFileError]);
+
+  // Invalid SFX are dropped from the selection and listed, the valid ones are kept
+  const handleSfxFileChange = useCallback(async (e) => {
+    const input = e.target;
+    const files = Array.from(input.files);
+    setFileError('sfx', null);
+    const results = await Promise.allSettled(files.map((file) => validateMedia(file, 'sfx')));
+    const valid = results.map((result, index) => ({ result, file: files[index] })).filter(({ result }) => result.status === 'fulfilled');
+    // Leave only the kept files in the input, so it doesn't list ones that won't be uploaded
+    if (valid.length < files.length) {
+      const kept = new DataTransfer();
+      valid.forEach(({ file }) => kept.items.add(file));
+      input.files = kept.files;
     }
+    setSfxFiles(valid.map(({ file }) => file));
+    setSfxInfo(valid.map(({ result }) => result.value));
+    const errors = results.filter((result) => result.status === 'rejected').map((result) => result.reason.message);
+    if (errors.length > 0) setFileError('sfx', errors.join(' '));
+  }, [setFileError]);
 
+  // Fills the form from a downloaded bundle. Its files go through the same checks as files picked by
+  // hand, and any that fail are left out and listed under their field like they would be then.
+  const handleImportBundle = useCallback(async (e) => {
+    const input = e.target;
+    const file = input.files[0];
+    setFileError('bundle', null);
+    if (!file) return;
+    setImportingBundle(true);
     try {
-      let thumbnailUrl = null;
-      if (thumbnailFile) {
-        setUploadStatus('Uploading thumbnail...');
-        setUploadProgress(20);
-        thumbnailUrl = await window.websim.upload(thumbnailFile);
-      }
+      const bundle = await readBundle(file);
+      const [thumbnailResult, videoResult, ...sfxResults] = await Promise.allSettled([
+        bundle.thumbnail && validateMedia(bundle.thumbnail, 'thumbnail'),
+        bundle.video && validateMedia(bundle.video, 'video'),
+        ...bundle.sfx.map((sfx) => validateMedia(sfx.file, 'sfx')),
+      ]);
+      // Give each file the type its bytes were checked as, so it's uploaded and served with it
+      const typed = (media, info) => new File([media], media.name, { type: info.mime });
 
-      let videoUrl = null;
-      if (videoFile) {
-        setUploadStatus('Uploading main video content...');
-        setUploadProgress(40);
-        videoUrl = await window.websim.upload(videoFile);
+      resetForm();
+      setTitle(bundle.title);
+      setDescription(bundle.description);
+      setTags(bundle.tags);
+      setThumbnailMode('upload');
+      if (thumbnailResult.status === 'fulfilled') {
+        setThumbnailFile(bundle.thumbnail && typed(bundle.thumbnail, thumbnailResult.value));
+      } else {
+        setFileError('thumbnail', thumbnailResult.reason.message);
       }
+      if (videoResult.status === 'fulfilled') {
+        setVideoFile(bundle.video && typed(bundle.video, videoResult.value));
+        setVideoInfo(videoResult.value || null);
+      } else {
+        setFileError('video', videoResult.reason.message);
+      }
+      const valid = sfxResults.map((result, index) => ({ result, sfx: bundle.sfx[index] })).filter(({ result }) => result.status === 'fulfilled');
+      setSfxFiles(valid.map(({ result, sfx }) => typed(sfx.file, result.value)));
+      setSfxInfo(valid.map(({ result, sfx }) => ({ ...result.value, cueTimes: sfx.cueTimes, volume: sfx.volume })));
+      const errors = sfxResults.filter((result) => result.status === 'rejected').map((result) => result.reason.message);
+      if (errors.length > 0) setFileError('sfx', errors.join(' '));
+    } catch (err) {
+      console.error('Bundle import failed:', err);
+      setFileError('bundle', err.name === 'BundleError' ? err.message : "Couldn't read that bundle. Please try again.");
+    } finally {
+      input.value = '';
+      setImportingBundle(false);
+    }
+  }, [resetForm, setFileError]);
+
+  // Uploads the selected files and saves the concept with the given status, 'published' or 'draft'.
+  // A resumed draft's own row is updated last, after its new SFX and tags, so that a failure part way
+  // through leaves it a draft. Rows created before a failure are rolled back. Resolves with the video id.
+  const saveConcept = useCallback(async (status) => {
+    abandonedRef.current = false;
+    const checkAbandoned = () => {
+      if (abandonedRef.current) throw publishAbandonedError();
+    };
+    // Rows created so far, so they can be rolled back if anything after them fails
+    const created = { video: null, sfx: [], tags: [] };
+    const publishing = status === 'published';
+
+    try {
+      // Nothing is written to the database until every file has uploaded.
+      // Files a resumed draft already has are only required again if there's no saved copy.
+      setUploadStatus('Uploading files...');
+      startUploads([
+        ...(thumbnailFile ? [{ key: 'thumbnail', file: thumbnailFile, label: 'Thumbnail', required: publishing && !(draft && draft.thumbnail_url) }] : []),
+        ...(videoFile ? [{ key: 'video', file: videoFile, label: 'Main video', required: publishing && !(draft && draft.video_url) }] : []),
+        ...sfxFiles.map((file, index) => ({ key: `sfx-${index}`, file, label: 'SFX', required: false, info: sfxInfo[index] })),
+      ]);
+      const items = await waitForUploads();
+      const uploaded = (key) => items.find((item) => item.key === key && item.status === 'done');
+      checkAbandoned();
 
-      setUploadStatus('Saving video concept details...');
-      setUploadProgress(60);
-      const newVideo = await room.collection('videos').create({
+      // A time that has already passed means straight away, so nobody can backdate a concept in the feeds
+      const scheduledFor = publishAt && new Date(publishAt) > new Date() ? new Date(publishAt) : null;
+      const fields = {
         title,
         description,
-        thumbnail_url: thumbnailUrl,
-        video_url: videoUrl,
-      });
+        status,
+        publish_at: scheduledFor ? scheduledFor.toISOString() : null,
+        // Feeds date a concept by when it went live, not when its draft was started
+        published_at: publishing ? new Date().toISOString() : null,
+      };
+      if (uploaded('thumbnail')) fields.thumbnail_url = uploaded('thumbnail').url;
+      if (uploaded('video')) {
+        Object.assign(fields, {
+          video_url: uploaded('video').url,
+          video_mime: videoInfo.mime,
+          video_duration: videoInfo.duration,
+          video_width: videoInfo.width,
+          video_height: videoInfo.height,
+        });
+      }
 
-      if (sfxFiles.length > 0) {
-        setUploadStatus(`Uploading ${sfxFiles.length} sound effects...`);
-        let uploadedSfxCount = 0;
-        for (const sfxFile of sfxFiles) {
-          const sfxUrl = await window.websim.upload(sfxFile);
-          await room.collection('sfx_assets').create({
-            video_concept_id: newVideo.id, // Link to the newly created video concept
-            sfx_url: sfxUrl,
-            sfx_name: sfxFile.name,
-          });
-          uploadedSfxCount++;
-          setUploadProgress(60 + (uploadedSfxCount / sfxFiles.length) * 30); // Increment progress for SFX
-          setUploadStatus(`Uploaded ${uploadedSfxCount}/${sfxFiles.length} sound effects.`);
-        }
+      let videoId = draft && draft.id;
+      if (!draft) {
+        setUploadStatus(publishing ? 'Saving video concept details...' : 'Saving draft...');
+        created.video = await room.collection('videos').create(fields);
+        videoId = created.video.id;
+        checkAbandoned();
       }
 
-      setUploadStatus('Video concept published successfully!');
-      setUploadProgress(100);
-
-      setTitle('');
-      setDescription('');
-      setThumbnailFile(null);
-      setVideoFile(null);
-      setSfxFiles([]); // Clear SFX files
-      document.getElementById('thumbnailInput').value = '';
-      document.getElementById('videoInput').value = '';
-      document.getElementById('sfxInput').value = ''; // Clear SFX input
-      
+      // SFX the user cancelled are left out. New ones go after any the draft already has.
+      const sfxItems = items.filter((item) => item.key.startsWith('sfx-') && item.status === 'done');
+      if (sfxItems.length > 0) {
+        const firstPosition = (draftSfx || []).reduce((max, sfx) => Math.max(max, (sfx.position ?? -1) + 1), 0);
+        setUploadStatus(`Saving ${sfxItems.length} sound effects...`);
+        const results = await Promise.allSettled(sfxItems.map((item, index) =>
+          room.collection('sfx_assets').create({
+            video_concept_id: videoId, // Link to the video concept
+            sfx_url: item.url,
+            sfx_name: item.file.name,
+            mime_type: item.info.mime,
+            duration: item.info.duration,
+            position: firstPosition + index,
+            // Cues and volume only come with SFX imported from a bundle
+            ...(item.info.cueTimes && item.info.cueTimes.length > 0 && { cue_times: JSON.stringify(item.info.cueTimes) }),
+            ...(item.info.volume != null && { volume: item.info.volume }),
+          }).then((sfx) => created.sfx.push(sfx))
+        ));
+        const failure = results.find((result) => result.status === 'rejected');
+        if (failure) throw failure.reason;
+      }
+      checkAbandoned();
+
+      const savedTags = draftTags || [];
+      const addedTags = tags.filter((tag) => !savedTags.some((row) => row.tag === tag));
+      const removedTags = savedTags.filter((row) => !tags.includes(row.tag));
+      if (addedTags.length > 0 || removedTags.length > 0) {
+        setUploadStatus('Saving tags...');
+        const results = await Promise.allSettled([
+          ...addedTags.map((tag) =>
+            room.collection('video_tags').create({ video_id: videoId, tag }).then((row) => created.tags.push(row))
+          ),
+          ...removedTags.map((row) => room.collection('video_tags').delete(row.id)),
+        ]);
+        const failure = results.find((result) => result.status === 'rejected');
+        if (failure) throw failure.reason;
+      }
+      checkAbandoned();
+
+      if (draft) {
+        setUploadStatus(publishing ? 'Publishing draft...' : 'Saving draft...');
+        await room.collection('videos').update(draft.id, fields);
+      }
+      return videoId;
+    } catch (err) {
+      await rollbackPublish(created);
+      throw err;
+    }
+  }, [title, description, tags, publishAt, thumbnailFile, videoFile, videoInfo, sfxFiles, sfxInfo, draft, draftSfx, draftTags, startUploads, waitForUploads]);
+
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    setError(null);
+    setUploadStatus('');
+
+    if (!title.trim() || !description.trim() || !(thumbnailFile || (draft && draft.thumbnail_url)) || !(videoFile || (draft && draft.video_url))) {
+      setError('Please fill in all fields and select a thumbnail and a main video file.');
+      return;
+    }
+
+    const scheduledFor = publishAt && new Date(publishAt) > new Date() ? new Date(publishAt) : null;
+    setIsUploading(true);
+    let published = false;
+
+    try {
+      await saveConcept('published');
+      published = true;
+      setUploadStatus(scheduledFor
+        ? `Video concept scheduled for ${scheduledFor.toLocaleString()}.`
+        : 'Video concept published successfully!');
+      resetForm();
+
       // Give a short delay to show 100% progress and success message
       setTimeout(() => {
-        setCurrentPage({ name: 'home' });
-        setUploadProgress(0);
+        navigate({ name: 'home' });
+        setIsUploading(false);
         setUploadStatus('');
+        resetUploads();
       }, 1500);
       
     } catch (err) {
-      console.error('Failed to publish video concept:', err);
-      setError('Failed to publish video concept. Please try again.');
-      setUploadProgress(0);
-      setUploadStatus('Upload failed.');
+      if (err.name === 'PublishAbandonedError') {
+        setUploadStatus('Publish cancelled.');
+      } else {
+        console.error('Failed to publish video concept:', err);
+        setError('Failed to publish video concept. Please try again.');
+        setUploadStatus('Upload failed.');
+      }
     } finally {
-      if (error) { // Only reset uploading state if there was an error, else it's handled by setTimeout
-        setIsUploading(false);
+      // On success the uploading state is cleared by the timeout above
+      if (!published) setIsUploading(false);
+    }
+  }, [title, description, thumbnailFile, videoFile, publishAt, draft, saveConcept, resetForm, resetUploads]);
+
+  // Drafts only need a title. Whatever files are selected are uploaded and kept with the draft.
+  const handleSaveDraft = useCallback(async () => {
+    setError(null);
+    setUploadStatus('');
+
+    if (!title.trim()) {
+      setError('Please give your draft a title before saving it.');
+      return;
+    }
+
+    setIsUploading(true);
+    try {
+      const videoId = await saveConcept('draft');
+      setUploadStatus('Draft saved.');
+      // The uploaded files are part of the draft now
+      clearSelectedFiles();
+      if (!draft) navigate({ name: 'create', draftId: videoId }, { replace: true });
+    } catch (err) {
+      if (err.name === 'PublishAbandonedError') {
+        setUploadStatus('Saving draft cancelled.');
+      } else {
+        console.error('Failed to save draft:', err);
+        setError('Failed to save draft. Please try again.');
+        setUploadStatus('Upload failed.');
       }
+    } finally {
+      setIsUploading(false);
     }
-  }, [title, description, thumbnailFile, videoFile, sfxFiles, error]);
+  }, [title, draft, saveConcept, clearSelectedFiles]);
 
-  const handleVideoEnded = useCallback(async (videoId, currentViewCount) => {
-    // Increment view count when the video finishes playing
+  // Removes an SFX already saved with the draft being edited
+  const handleRemoveDraftSfx = useCallback(async (sfx) => {
     try {
-      await room.collection('videos').upsert({
-        id: videoId,
-        view_count: currentViewCount + 1,
-      });
-      console.log(`Incremented view count for video ${videoId} to ${currentViewCount + 1}`);
+      await room.collection('sfx_assets').delete(sfx.id);
     } catch (err) {
-      console.error('Failed to increment view count:', err);
+      console.error('Failed to remove SFX:', err);
+      setError('Failed to remove sound effect. Please try again.');
     }
   }, []);
 
+  const handleAbandonPublish = useCallback(() => {
+    abandonedRef.current = true;
+    abandonUploads();
+  }, [abandonUploads]);
+
   return (
     <div className="flex">
       {/* Sidebar Navigation */}
       <aside className="w-16 bg-gray-800 text-white flex flex-col items-center py-4 fixed h-full shadow-lg z-10">
         <button
-          onClick={() => setCurrentPage({ name: 'home' })}
+          onClick={() => navigate({ name: 'home' })}
           className={`p-3 rounded-lg mb-4 transition duration-300 ${currentPage.name === 'home' ? 'bg-blue-600' : 'hover:bg-gray-700'}`}
           title="Home - View Video Concepts"
         >
@@ -197,7 +4551,28 @@ function App() {
           </svg>
         </button>
         <button
-          onClick={() => setCurrentPage({ name: 'create' })}
+          onClick={() => navigate({ name: 'trending' })}
+          className={`p-3 rounded-lg mb-4 transition duration-300 ${currentPage.name === 'trending' ? 'bg-blue-600' : 'hover:bg-gray-700'}`}
+          title="Trending - Most Watched Right Now"
+        >
+          {/* Fire Icon SVG */}
+          <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-6 h-6">
+            <path strokeLinecap="round" strokeLinejoin="round" d="M15.362 5.214A8.252 8.252 0 0 1 12 21 8.25 8.25 0 0 1 6.038 7.047 8.287 8.287 0 0 0 9 9.601a8.983 8.983 0 0 1 3.361-6.867 8.21 8.21 0 0 0 3 2.48Z" />
+            <path strokeLinecap="round" strokeLinejoin="round" d="M12 18a3.75 3.75 0 0 0 .495-7.468 5.99 5.99 0 0 0-1.925 3.547 5.975 5.975 0 0 1-2.133-1.001A3.75 3.75 0 0 0 12 18Z" />
+          </svg>
+        </button>
+        <button
+          onClick={() => navigate({ name: 'following' })}
+          className={`p-3 rounded-lg mb-4 transition duration-300 ${currentPage.name === 'following' ? 'bg-blue-600' : 'hover:bg-gray-700'}`}
+          title="Following - Videos From Creators You Follow"
+        >
+          {/* Users Icon SVG */}
+          <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-6 h-6">
+            <path strokeLinecap="round" strokeLinejoin="round" d="M15 19.128a9.38 9.38 0 0 0 2.625.372 9.337 9.337 0 0 0 4.121-.952 4.125 4.125 0 0 0-7.533-2.493M15 19.128v-.003c0-1.113-.285-2.16-.786-3.07M15 19.128v.106A12.318 12.318 0 0 1 8.624 21c-2.331 0-4.512-.645-6.374-1.766l-.001-.109a6.375 6.375 0 0 1 11.964-3.07M12 6.375a3.375 3.375 0 1 1-6.75 0 3.375 3.375 0 0 1 6.75 0Zm8.25 2.25a2.625 2.625 0 1 1-5.25 0 2.625 2.625 0 0 1 5.25 0Z" />
+          </svg>
+        </button>
+        <button
+          onClick={() => navigate({ name: 'create' })}
           className={`p-3 rounded-lg transition duration-300 ${currentPage.name === 'create' ? 'bg-blue-600' : 'hover:bg-gray-700'}`}
           title="Create New Video Concept"
         >
@@ -206,30 +4581,87 @@ function App() {
             <path strokeLinecap="round" strokeLinejoin="round" d="M12 4.5v15m7.5-7.5h-15" />
           </svg>
         </button>
+        {isModerator && (
+          <button
+            onClick={() => navigate({ name: 'moderation' })}
+            className={`p-3 rounded-lg mt-4 transition duration-300 ${currentPage.name === 'moderation' ? 'bg-blue-600' : 'hover:bg-gray-700'}`}
+            title="Moderation - Review Reported Content"
+          >
+            {/* Shield Icon SVG */}
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-6 h-6">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M9 12.75 11.25 15 15 9.75m-3-7.036A11.959 11.959 0 0 1 3.598 6 11.99 11.99 0 0 0 3 9.749c0 5.592 3.824 10.29 9 11.623 5.176-1.332 9-6.03 9-11.622 0-1.31-.21-2.571-.598-3.751h-.152c-3.196 0-6.1-1.248-8.25-3.285Z" />
+            </svg>
+          </button>
+        )}
       </aside>
 
       {/* Main Content Area */}
       <div className="flex-1 ml-16 min-h-screen">
-        <div className="container mx-auto p-4 max-w-2xl">
-          {currentPage.name !== 'userVideos' && (
+        <div className={`container mx-auto p-4 ${currentPage.name === 'watch' || currentPage.name === 'playlist' ? 'max-w-6xl' : 'max-w-2xl'}`}>
+          {['home', 'trending', 'following', 'create'].includes(currentPage.name) && (
             <h1 className="text-3xl font-bold text-center mb-2 text-gray-800">Video Home</h1>
           )}
           {currentPage.name === 'home' && (
             <p className="text-md text-center text-gray-600 mb-8">Discover and create amazing video concepts!</p>
           )}
+          {currentPage.name === 'trending' && (
+            <p className="text-md text-center text-gray-600 mb-8">The most watched video concepts right now.</p>
+          )}
+          {currentPage.name === 'following' && (
+            <p className="text-md text-center text-gray-600 mb-8">The latest video concepts from creators you follow.</p>
+          )}
+
+          {currentPage.name === 'create' && <MyDrafts currentDraftId={draftId} />}
+
+          {currentPage.name === 'create' && draftId && !draft && !isUploading && (
+            <div className="text-center text-gray-600 mb-8">
+              {draftRows ? "This draft doesn't exist or has already been published." : 'Loading draft...'}{' '}
+              <a href={routeToHash({ name: 'create' })} className="text-blue-600 hover:underline">Start a new video concept</a>
+            </div>
+          )}
 
-          {currentPage.name === 'create' && (
+          {currentPage.name === 'create' && (!draftId || draft || isUploading) && (
             // Video Creation Form
             <form onSubmit={handleSubmit} className="bg-white p-6 rounded-lg shadow-md mb-8">
-              <h2 className="text-xl font-semibold mb-4 text-gray-700">Create a New Video Concept</h2>
+              <h2 className="text-xl font-semibold mb-4 text-gray-700">{draft ? 'Edit Draft' : 'Create a New Video Concept'}</h2>
               {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4" role="alert">{error}</div>}
 
-              {isUploading && uploadProgress > 0 && (
+              {(uploadQueue.items.length > 0 || uploadStatus) && (
                 <div className="mb-4">
                   <p className="text-sm text-gray-700 mb-1 font-semibold">{uploadStatus}</p>
-                  <div className="w-full bg-gray-200 rounded-full h-2.5 dark:bg-gray-700">
-                    <div className="bg-blue-600 h-2.5 rounded-full transition-all duration-300 ease-out" style={{ width: `${uploadProgress}%` }}></div>
-                  </div>
+                  {uploadQueue.items.length > 0 && (
+                    <>
+                      <div className="w-full bg-gray-200 rounded-full h-2.5 dark:bg-gray-700">
+                        <div className="bg-blue-600 h-2.5 rounded-full transition-all duration-300 ease-out" style={{ width: `${uploadQueue.totalBytes ? (uploadQueue.doneBytes / uploadQueue.totalBytes) * 100 : 0}%` }}></div>
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1 mb-2">
+                        {formatBytes(uploadQueue.doneBytes)} of {formatBytes(uploadQueue.totalBytes)} uploaded
+                      </p>
+                      <UploadQueueStatus queue={uploadQueue} />
+                    </>
+                  )}
+                  {isUploading && (
+                    <button type="button" onClick={handleAbandonPublish} className="text-sm text-red-600 hover:underline">
+                      Cancel
+                    </button>
+                  )}
+                </div>
+              )}
+
+              {!draft && (
+                <div className="mb-4">
+                  <label htmlFor="bundleInput" className="block text-gray-700 text-sm font-bold mb-2">Import Bundle</label>
+                  <input
+                    type="file"
+                    id="bundleInput"
+                    accept=".zip,application/zip"
+                    onChange={handleImportBundle}
+                    className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-gray-100 file:text-gray-700 hover:file:bg-gray-200"
+                    disabled={isUploading || importingBundle}
+                  />
+                  {importingBundle && <p className="mt-2 text-sm text-gray-600">Reading bundle...</p>}
+                  {fileErrors.bundle && <p className="mt-2 text-sm text-red-600">{fileErrors.bundle}</p>}
+                  <p className="text-xs text-gray-500 mt-1">A zip downloaded from a concept's manage page. Fills in the form below, ready to check and publish.</p>
                 </div>
               )}
 
@@ -261,18 +4693,55 @@ function App() {
                 ></textarea>
               </div>
 
+              <div className="mb-4">
+                <label htmlFor="tagInput" className="block text-gray-700 text-sm font-bold mb-2">Tags</label>
+                <TagInput id="tagInput" tags={tags} onChange={setTags} disabled={isUploading} />
+                <p className="text-xs text-gray-500 mt-1">Subjects or project types, so classmates can browse by topic. Up to {MAX_TAGS}.</p>
+              </div>
+
               <div className="mb-6">
                 <label htmlFor="thumbnailInput" className="block text-gray-700 text-sm font-bold mb-2">Video Thumbnail</label>
-                <input
-                  type="file"
-                  id="thumbnailInput"
-                  accept="image/*"
-                  onChange={handleThumbnailFileChange}
-                  className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-violet-50 file:text-violet-700 hover:file:bg-violet-100"
-                  disabled={isUploading}
-                  required
-                />
-                {thumbnailFile && <p className="mt-2 text-sm text-gray-600">Selected: {thumbnailFile.name}</p>}
+                <div className="flex gap-4 mb-2 text-sm text-gray-700">
+                  <label className="flex items-center">
+                    <input type="radio" name="thumbnailMode" checked={thumbnailMode === 'upload'} onChange={() => handleThumbnailModeChange('upload')} className="mr-1" disabled={isUploading} />
+                    Upload an image
+                  </label>
+                  <label className="flex items-center">
+                    <input type="radio" name="thumbnailMode" checked={thumbnailMode === 'generate'} onChange={() => handleThumbnailModeChange('generate')} className="mr-1" disabled={isUploading} />
+                    Generate from video
+                  </label>
+                </div>
+                {thumbnailMode === 'upload' ? (
+                  <input
+                    type="file"
+                    id="thumbnailInput"
+                    accept="image/*"
+                    onChange={handleThumbnailFileChange}
+                    className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-violet-50 file:text-violet-700 hover:file:bg-violet-100"
+                    disabled={isUploading}
+                    required={!thumbnailFile && !(draft && draft.thumbnail_url)}
+                  />
+                ) : (
+                  <ThumbnailFromVideo
+                    videoFile={videoFile}
+                    duration={videoInfo && videoInfo.duration}
+                    onCapture={handleThumbnailCaptured}
+                    disabled={isUploading}
+                  />
+                )}
+                {fileErrors.thumbnail && <p className="mt-2 text-sm text-red-600">{fileErrors.thumbnail}</p>}
+                {thumbnailFile && (
+                  <div className="mt-2 flex items-center text-sm text-gray-600">
+                    {thumbnailPreviewUrl && <img src={thumbnailPreviewUrl} alt="Selected thumbnail" className="w-20 h-12 object-cover rounded mr-2" />}
+                    Selected: {thumbnailFile.name}
+                  </div>
+                )}
+                {!thumbnailFile && draft && draft.thumbnail_url && (
+                  <div className="mt-2 flex items-center text-sm text-gray-600">
+                    <img src={draft.thumbnail_url} alt="Saved thumbnail" className="w-20 h-12 object-cover rounded mr-2" />
+                    Saved with this draft. Choose another to replace it.
+                  </div>
+                )}
               </div>
               
               <div className="mb-6">
@@ -284,9 +4753,19 @@ function App() {
                   onChange={handleVideoFileChange}
                   className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-green-50 file:text-green-700 hover:file:bg-green-100"
                   disabled={isUploading}
-                  required
+                  required={!videoFile && !(draft && draft.video_url)}
                 />
-                {videoFile && <p className="mt-2 text-sm text-gray-600">Selected: {videoFile.name}</p>}
+                {fileErrors.video && <p className="mt-2 text-sm text-red-600">{fileErrors.video}</p>}
+                {videoFile && videoInfo && (
+                  <p className="mt-2 text-sm text-gray-600">
+                    Selected: {videoFile.name} ({videoInfo.width}×{videoInfo.height}, {Math.round(videoInfo.duration)}s)
+                  </p>
+                )}
+                {!videoFile && draft && draft.video_url && (
+                  <p className="mt-2 text-sm text-gray-600">
+                    A video{draft.video_duration ? ` (${Math.round(draft.video_duration)}s)` : ''} is saved with this draft. Choose another to replace it.
+                  </p>
+                )}
               </div>
 
               {/* New SFX file input */}
@@ -301,18 +4780,53 @@ function App() {
                   className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-purple-50 file:text-purple-700 hover:file:bg-purple-100"
                   disabled={isUploading}
                 />
+                {fileErrors.sfx && <p className="mt-2 text-sm text-red-600">{fileErrors.sfx}</p>}
                 {sfxFiles.length > 0 && (
                   <p className="mt-2 text-sm text-gray-600">Selected: {sfxFiles.map(f => f.name).join(', ')}</p>
                 )}
+                {draftSfx && draftSfx.length > 0 && (
+                  <div className="mt-2 flex flex-wrap gap-2">
+                    {draftSfx.map((sfx) => (
+                      <span key={sfx.id} className="flex items-center px-3 py-1 bg-purple-100 text-purple-800 rounded-full text-xs">
+                        {sfx.sfx_name}
+                        <button type="button" onClick={() => handleRemoveDraftSfx(sfx)} className="ml-1 text-purple-400 hover:text-purple-800" title={`Remove ${sfx.sfx_name}`} disabled={isUploading}>✕</button>
+                      </span>
+                    ))}
+                  </div>
+                )}
               </div>
 
-              <button
-                type="submit"
-                className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline w-full disabled:opacity-50"
-                disabled={isUploading}
-              >
-                {isUploading ? 'Publishing Concept...' : 'Publish Video Concept'}
-              </button>
+              <div className="mb-6">
+                <label htmlFor="publishAtInput" className="block text-gray-700 text-sm font-bold mb-2">Publish At</label>
+                <input
+                  type="datetime-local"
+                  id="publishAtInput"
+                  value={publishAt}
+                  min={toDateTimeLocal(new Date())}
+                  onChange={(e) => setPublishAt(e.target.value)}
+                  className="shadow appearance-none border rounded py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                  disabled={isUploading}
+                />
+                <p className="text-xs text-gray-500 mt-1">Leave empty to publish straight away. Until then only you can see it.</p>
+              </div>
+
+              <div className="flex gap-3">
+                <button
+                  type="button"
+                  onClick={handleSaveDraft}
+                  className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:opacity-50"
+                  disabled={isUploading}
+                >
+                  Save Draft
+                </button>
+                <button
+                  type="submit"
+                  className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline flex-1 disabled:opacity-50"
+                  disabled={isUploading}
+                >
+                  {isUploading ? 'Saving Concept...' : publishAt && new Date(publishAt) > new Date() ? 'Schedule Video Concept' : 'Publish Video Concept'}
+                </button>
+              </div>
             </form>
           )}
 
@@ -320,112 +4834,77 @@ function App() {
             <>
               {/* This h2 is now redundant with the h1 and tagline, so it's hidden */}
               <h2 className="text-2xl font-semibold mb-6 text-gray-800 text-center hidden">Published Video Concepts</h2> 
-              {queryError && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4" role="alert">Error loading videos: {queryError.message}</div>}
-              
-              {loading ? (
-                <div className="text-center text-gray-600">Loading video concepts...</div>
-              ) : videos && videos.length === 0 ? (
-                <div className="text-center text-gray-600">No video concepts published yet. Be the first!</div>
-              ) : (
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                  {videos.map((video) => (
-                    <div key={video.id} className="bg-white rounded-lg shadow-md overflow-hidden transform transition duration-300 hover:scale-105">
-                      {video.video_url ? (
-                        <video 
-                          controls 
-                          className="w-full h-48 object-cover" 
-                          poster={video.thumbnail_url}
-                        >
-                          <source src={video.video_url} type="video/mp4" />
-                          Your browser does not support the video tag.
-                        </video>
-                      ) : video.thumbnail_url && (
-                        <img src={video.thumbnail_url} alt={`Thumbnail for ${video.title}`} className="w-full h-48 object-cover" />
-                      )}
-                      <div className="p-4">
-                        <h3 className="text-lg font-bold text-gray-800 mb-2">{video.title}</h3>
-                        <p className="text-gray-600 text-sm mb-3 line-clamp-3">{video.description}</p>
-                        <div className="flex items-center justify-between text-sm text-gray-500">
-                          <div className="flex items-center">
-                            <img
-                              src={`https://images.websim.com/avatar/${video.username}`}
-                              alt={`${video.username}'s avatar`}
-                              className="w-6 h-6 rounded-full mr-2 cursor-pointer"
-                              onClick={() => setCurrentPage({ name: 'userVideos', userId: video.user_id, username: video.username })}
-                            />
-                            <span>By <span className="font-semibold text-gray-700">{video.username}</span></span>
-                          </div>
-                          
-                        </div>
-                        <p className="text-xs text-gray-400 mt-2">Published: {new Date(video.created_at).toLocaleDateString()}</p>
-                        <SfxPlayer videoConceptId={video.id} /> {/* Display SFX for this video concept */}
-                      </div>
-                    </div>
-                  ))}
-                </div>
-              )}
+              <TagStrip />
+              <FeedControls search={currentPage} />
+              <PagedVideoGrid
+                filter={buildFeedFilter(currentPage)}
+                emptyMessage={currentPage.q || currentPage.hasSfx || currentPage.hasVideo
+                  ? 'No video concepts match your search.'
+                  : 'No video concepts published yet. Be the first!'}
+              />
             </>
           )}
 
-          {currentPage.name === 'userVideos' && (
+          {currentPage.name === 'trending' && (
+            <VideoGrid
+              videos={trendingVideos}
+              loading={trendingLoading}
+              error={trendingError}
+              emptyMessage={`Nothing has been watched in the last ${TRENDING_WINDOW_DAYS} days yet.`}
+            />
+          )}
+
+          {currentPage.name === 'following' && (
+            currentUser ? (
+              // Same user join and paging as the home feed, limited to followed creators
+              <PagedVideoGrid
+                filter={{
+                  conditions: ['v.user_id IN (SELECT s.creator_id FROM public.subscriptions s WHERE s.user_id = $1)'],
+                  params: [currentUser.id],
+                }}
+                emptyMessage="Nothing here yet. Follow creators from their page to see their video concepts here."
+              />
+            ) : (
+              <div className="text-center text-gray-600">Loading video concepts...</div>
+            )
+          )}
+
+          {currentPage.name === 'tag' && (
             <>
-              <button
-                onClick={() => setCurrentPage({ name: 'home' })}
-                className="mb-6 px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition duration-300 flex items-center"
-              >
-                <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-5 h-5 mr-2">
-                  <path strokeLinecap="round" strokeLinejoin="round" d="M10.5 19.5L3 12m0 0l7.5-7.5M3 12h18" />
-                </svg>
-                Back to Home
-              </button>
-              <h2 className="text-2xl font-semibold mb-6 text-gray-800 text-center">Video Concepts by {currentPage.username}</h2>
-              {userVideosError && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4" role="alert">Error loading videos: {userVideosError.message}</div>}
-              
-              {userVideosLoading ? (
-                <div className="text-center text-gray-600">Loading video concepts...</div>
-              ) : userVideos && userVideos.length === 0 ? (
-                <div className="text-center text-gray-600">No video concepts published by this user yet.</div>
-              ) : (
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                  {userVideos.map((video) => (
-                    <div key={video.id} className="bg-white rounded-lg shadow-md overflow-hidden transform transition duration-300 hover:scale-105">
-                      {video.video_url ? (
-                        <video 
-                          controls 
-                          className="w-full h-48 object-cover" 
-                          poster={video.thumbnail_url}
-                        >
-                          <source src={video.video_url} type="video/mp4" />
-                          Your browser does not support the video tag.
-                        </video>
-                      ) : video.thumbnail_url && (
-                        <img src={video.thumbnail_url} alt={`Thumbnail for ${video.title}`} className="w-full h-48 object-cover" />
-                      )}
-                      <div className="p-4">
-                        <h3 className="text-lg font-bold text-gray-800 mb-2">{video.title}</h3>
-                        <p className="text-gray-600 text-sm mb-3 line-clamp-3">{video.description}</p>
-                        <div className="flex items-center justify-between text-sm text-gray-500">
-                          <div className="flex items-center">
-                            <img
-                              src={`https://images.websim.com/avatar/${video.username}`}
-                              alt={`${video.username}'s avatar`}
-                              className="w-6 h-6 rounded-full mr-2"
-                            />
-                            <span>By <span className="font-semibold text-gray-700">{video.username}</span></span>
-                          </div>
-                          
-                        </div>
-                        <p className="text-xs text-gray-400 mt-2">Published: {new Date(video.created_at).toLocaleDateString()}</p>
-                        <SfxPlayer videoConceptId={video.id} /> {/* Display SFX for this video concept */}
-                      </div>
-                    </div>
-                  ))}
-                </div>
-              )}
+              <h2 className="text-2xl font-semibold mb-6 text-gray-800 text-center">Video Concepts tagged #{currentPage.tag}</h2>
+              <TagStrip activeTag={currentPage.tag} />
+              <PagedVideoGrid
+                filter={{
+                  conditions: ['EXISTS (SELECT 1 FROM public.video_tags t WHERE t.video_id = v.id AND t.user_id = v.user_id AND t.tag = $1)'],
+                  params: [currentPage.tag],
+                }}
+                emptyMessage={`No video concepts are tagged #${currentPage.tag} yet.`}
+              />
             </>
           )}
+
+          {currentPage.name === 'watch' && (
+            <WatchPage videoId={currentPage.videoId} together={currentPage.together} />
+          )}
+
+          {currentPage.name === 'playlist' && (
+            <PlaylistPage key={currentPage.playlistId} playlistId={currentPage.playlistId} />
+          )}
+
+          {currentPage.name === 'manage' && (
+            <ManagePage videoId={currentPage.videoId} />
+          )}
+
+          {currentPage.name === 'moderation' && (
+            <ModerationPage />
+          )}
+
+          {currentPage.name === 'profile' && (
+            <ProfilePage key={currentPage.userId} userId={currentPage.userId} tab={currentPage.tab} />
+          )}
         </div>
       </div>
+      <ReportDialogHost />
     </div>
   );
 }